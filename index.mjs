@@ -1,10 +1,53 @@
 import Fastify from "fastify";
 import cors from "@fastify/cors";
+import fastifyJwt from "@fastify/jwt";
 import dotenv from "dotenv";
 import knex from "knex";
 import ipaddr from "ipaddr.js";
 import path from "path";
-import fs from "fs/promises";
+import crypto from "crypto";
+import { EDITORIAL_ROLES } from "./src/config/roles.js";
+import { POSITIONS, isValidPosition } from "./src/config/positions.js";
+import { HOMEPAGE } from "./src/config/homepage.js";
+import { getHomepage } from "./src/services/homepage.js";
+import {
+  SEARCH_MODES,
+  SEARCH_SORTS,
+  normalizeFulltextQuery,
+  isFulltextSearchable,
+  applyFulltextSearch,
+  orderSearchResults,
+} from "./src/utils/fulltext.js";
+import { searchTerms, buildSearchHit } from "./src/utils/snippet.js";
+import { SEARCH } from "./src/config/search.js";
+import { createSearchIndex } from "./src/services/searchIndex.js";
+import { createAutocomplete } from "./src/services/autocomplete.js";
+import { createSearchLog } from "./src/services/searchLog.js";
+import { SITE } from "./src/config/site.js";
+import { FEEDS } from "./src/config/feeds.js";
+import { SITEMAPS } from "./src/config/sitemaps.js";
+import { createSitemaps } from "./src/services/sitemaps.js";
+import { buildArticleSeo } from "./src/utils/seo.js";
+import {
+  parseVariantQuery,
+  getImageVariant,
+} from "./src/services/imageVariants.js";
+import { IMAGES } from "./src/config/images.js";
+import { getStorage } from "./src/services/storage.js";
+import { statLocalFile } from "./src/services/storage/local.js";
+import { parseRange, rangeStillValid } from "./src/utils/httpRange.js";
+import { buildRss, buildAtom, lastUpdated } from "./src/utils/feed.js";
+import {
+  articleUrl,
+  categoryUrl,
+  tagUrl,
+  imageUrl,
+} from "./src/utils/siteUrls.js";
+import {
+  buildTree,
+  ancestorsOf,
+  descendantIdsOf,
+} from "./src/utils/categoryTree.js";
 
 // Muat variabel lingkungan
 dotenv.config();
@@ -229,6 +272,71 @@ const db = knex({
 // Dekorasi fastify dengan objek knex
 fastify.decorate("db", db);
 
+// Indeks pencarian di dalam proses (stemming Indonesia, toleransi salah ketik).
+// Selama indeks belum siap, pencarian memakai FULLTEXT MySQL.
+const indeksPencarian = createSearchIndex(db);
+let timerIndeksPencarian = null;
+
+// Autocomplete prefiks untuk /api/suggestions (judul, tag, kategori)
+const autocomplete = createAutocomplete(db);
+let timerAutocomplete = null;
+
+// Log pencarian untuk analitik (ditulis ke database per batch)
+const logPencarian = createSearchLog(db, fastify.log);
+
+// Sitemap disimpan di memori, dibuat ulang berkala dan setelah artikel berubah
+const sitemaps = createSitemaps(db, fastify.log);
+let timerSitemap = null;
+
+// Penyimpanan gambar artikel (lokal/S3, lihat storage di
+// src/config/settings.js) dengan indeks lokasi file di memori
+const penyimpanan = await getStorage(fastify.log);
+
+// JWT untuk mengenali user redaksi (editor/admin/penulis). Tanpa secret
+// sendiri siapa pun bisa membuat token redaksi dan membaca draf/embargo,
+// jadi server tidak dijalankan bila JWT_SECRET kosong.
+if (!process.env.JWT_SECRET) {
+  fastify.log.error("❌ JWT_SECRET belum diatur, server tidak dijalankan");
+  process.exit(1);
+}
+
+fastify.register(fastifyJwt, {
+  secret: process.env.JWT_SECRET,
+});
+
+// Periksa apakah request dikirim oleh user redaksi (token bersifat opsional)
+const adalahUserRedaksi = async (request) => {
+  if (!request.headers.authorization) {
+    return false;
+  }
+
+  try {
+    const user = await request.jwtVerify();
+    return EDITORIAL_ROLES.includes(user.role);
+  } catch {
+    return false;
+  }
+};
+
+// Batasi query ke artikel yang sudah terbit, kecuali untuk user redaksi
+const filterArtikelTerbit = (query, lihatSemua, kolom = "a.status") => {
+  if (!lihatSemua) {
+    query.where(kolom, "published");
+  }
+  return query;
+};
+
+// Batasi query ke penempatan yang masa tayangnya (starts_at/ends_at)
+// sedang berlangsung
+const filterPenempatanAktif = (query, sekarang = new Date()) =>
+  query
+    .where((builder) =>
+      builder.whereNull("ap.starts_at").orWhere("ap.starts_at", "<=", sekarang)
+    )
+    .where((builder) =>
+      builder.whereNull("ap.ends_at").orWhere("ap.ends_at", ">", sekarang)
+    );
+
 // Middleware untuk log koneksi database
 fastify.addHook("onReady", async () => {
   try {
@@ -241,16 +349,130 @@ fastify.addHook("onReady", async () => {
     fastify.log.error(`❌ Gagal terhubung ke Database: ${error.message}`);
     process.exit(1);
   }
+
+  // Bangun indeks pencarian di latar belakang, lalu sinkronkan berkala
+  indeksPencarian
+    .build()
+    .then((jumlah) => {
+      fastify.log.info(`🔎 Indeks pencarian siap (${jumlah} artikel)`);
+      timerIndeksPencarian = setInterval(() => {
+        indeksPencarian
+          .sync()
+          .then(({ changed, removed }) => {
+            // Artikel yang berubah ikut diperbarui di autocomplete
+            for (const artikel of changed) {
+              if (artikel.status === "published") {
+                autocomplete.upsert("article", artikel);
+              } else {
+                autocomplete.remove("article", artikel.id);
+              }
+            }
+            removed.forEach((id) => autocomplete.remove("article", id));
+
+            // Artikel yang terbit, berubah atau dihapus memicu pembuatan
+            // ulang sitemap
+            if (changed.length > 0 || removed.length > 0) {
+              sitemaps.schedule();
+            }
+          })
+          .catch((error) =>
+            fastify.log.error(
+              `Gagal menyinkronkan indeks pencarian: ${error.message}`
+            )
+          );
+      }, SEARCH.syncInterval * 1000);
+      timerIndeksPencarian.unref();
+    })
+    .catch((error) => {
+      fastify.log.error(`Gagal membangun indeks pencarian: ${error.message}`);
+    });
+
+  // Autocomplete dimuat penuh saat start dan dimuat ulang berkala
+  // (tag dan kategori hanya ikut diperbarui lewat pemuatan ulang ini)
+  const muatAutocomplete = () =>
+    autocomplete
+      .warm()
+      .catch((error) =>
+        fastify.log.error(`Gagal memuat autocomplete: ${error.message}`)
+      );
+  muatAutocomplete();
+  timerAutocomplete = setInterval(
+    muatAutocomplete,
+    SEARCH.autocomplete.refreshInterval * 1000
+  );
+  timerAutocomplete.unref();
+
+  logPencarian.start();
+
+  const buatSitemap = () =>
+    sitemaps
+      .build()
+      .catch((error) =>
+        fastify.log.error(`Gagal membuat sitemap: ${error.message}`)
+      );
+  buatSitemap();
+  timerSitemap = setInterval(buatSitemap, SITEMAPS.regenerateInterval * 1000);
+  timerSitemap.unref();
+
+  penyimpanan
+    .start()
+    .then((jumlah) =>
+      fastify.log.info(
+        `🖼️ Indeks penyimpanan gambar siap (${jumlah} file, driver: ${penyimpanan.drivers.join(
+          ", "
+        )})`
+      )
+    )
+    .catch((error) =>
+      fastify.log.error(
+        `Gagal membangun indeks penyimpanan gambar: ${error.message}`
+      )
+    );
 });
 
 // ===== ROUTES KATEGORI =====
 
+// Ambil seluruh kategori (datar) untuk keperluan hierarki/breadcrumb
+const ambilSemuaKategori = () =>
+  fastify.db.select("id", "name", "slug", "parent_id").from("categories");
+
+// Query slug terbaru dari artikel/kategori yang dulu memakai slug lama
+// (tabel slug_history, diisi saat slug diganti)
+const querySlugBaru = (tabel, jenis, slugLama) =>
+  fastify.db
+    .select("t.slug")
+    .from(`${tabel} as t`)
+    .join("slug_history as sh", "sh.entity_id", "t.id")
+    .where({ "sh.entity_type": jenis, "sh.slug": slugLama });
+
+// Pengalihan permanen ke alamat dengan slug terbaru
+const kirimPengalihan = (reply, pesan, slug, location) =>
+  reply.code(301).header("Location", location).send({
+    message: pesan,
+    slug,
+    location,
+  });
+
+// Mendapatkan struktur kategori bertingkat
+fastify.get("/api/categories/tree", async (request, reply) => {
+  try {
+    const categories = await ambilSemuaKategori()
+      .orderBy("display_order")
+      .orderBy("name");
+    return { categories: buildTree(categories) };
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+
 // Mendapatkan semua kategori
 fastify.get("/api/categories", async (request, reply) => {
   try {
     const categories = await fastify.db
       .select("*")
       .from("categories")
+      .orderBy("display_order")
       .orderBy("name");
 
     return { categories };
@@ -273,6 +495,8 @@ fastify.get("/api/categories/:id", async (request, reply) => {
       return reply.code(404).send({ error: "Kategori tidak ditemukan" });
     }
 
+    category.breadcrumbs = ancestorsOf(await ambilSemuaKategori(), category.id);
+
     return { category };
   } catch (error) {
     fastify.log.error(error);
@@ -290,9 +514,26 @@ fastify.get("/api/categories/slug/:slug", async (request, reply) => {
       .first();
 
     if (!category) {
+      const kategoriBaru = await querySlugBaru(
+        "categories",
+        "category",
+        request.params.slug
+      ).first();
+
+      if (kategoriBaru) {
+        return kirimPengalihan(
+          reply,
+          "Kategori telah dipindahkan",
+          kategoriBaru.slug,
+          `/api/categories/slug/${encodeURIComponent(kategoriBaru.slug)}`
+        );
+      }
+
       return reply.code(404).send({ error: "Kategori tidak ditemukan" });
     }
 
+    category.breadcrumbs = ancestorsOf(await ambilSemuaKategori(), category.id);
+
     return { category };
   } catch (error) {
     fastify.log.error(error);
@@ -302,6 +543,17 @@ fastify.get("/api/categories/slug/:slug", async (request, reply) => {
 
 // ===== ROUTES ARTIKEL =====
 
+// Query daftar artikel terbaru beserta informasi kategori
+// (dipakai daftar artikel, artikel per kategori dan feed)
+const queryDaftarArtikel = (lihatSemua) =>
+  filterArtikelTerbit(
+    fastify.db
+      .select("a.*", "c.name as category_name", "c.slug as category_slug")
+      .from("articles as a")
+      .join("categories as c", "a.category_id", "c.id"),
+    lihatSemua
+  ).orderBy("a.date_published", "desc");
+
 // Mendapatkan semua artikel dengan pagination
 fastify.get("/api/articles", async (request, reply) => {
   const page = parseInt(request.query.page) || 1;
@@ -309,20 +561,19 @@ fastify.get("/api/articles", async (request, reply) => {
   const offset = (page - 1) * perPage;
 
   try {
+    const lihatSemua = await adalahUserRedaksi(request);
+
     // Mendapatkan artikel dengan informasi kategori
-    const articles = await fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id")
-      .orderBy("a.date_published", "desc")
+    const articles = await queryDaftarArtikel(lihatSemua)
       .limit(perPage)
       .offset(offset);
 
     // Mendapatkan total jumlah untuk pagination
-    const countResult = await fastify
-      .db("articles")
-      .count("* as total")
-      .first();
+    const countResult = await filterArtikelTerbit(
+      fastify.db("articles").count("* as total"),
+      lihatSemua,
+      "status"
+    ).first();
 
     const total = countResult.total;
     const totalPages = Math.ceil(total / perPage);
@@ -345,17 +596,24 @@ fastify.get("/api/articles", async (request, reply) => {
 // Mendapatkan artikel berdasarkan ID
 fastify.get("/api/articles/:id", async (request, reply) => {
   try {
-    const article = await fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id")
-      .where("a.id", request.params.id)
-      .first();
+    const article = await filterArtikelTerbit(
+      fastify.db
+        .select("a.*", "c.name as category_name", "c.slug as category_slug")
+        .from("articles as a")
+        .join("categories as c", "a.category_id", "c.id")
+        .where("a.id", request.params.id),
+      await adalahUserRedaksi(request)
+    ).first();
 
     if (!article) {
       return reply.code(404).send({ error: "Artikel tidak ditemukan" });
     }
 
+    article.breadcrumbs = ancestorsOf(
+      await ambilSemuaKategori(),
+      article.category_id
+    );
+
     return { article };
   } catch (error) {
     fastify.log.error(error);
@@ -372,12 +630,17 @@ fastify.get("/api/articles/slug/:slug", async (request, reply) => {
     // Tambahkan log untuk memastikan slug tidak memiliki karakter aneh
     console.log(`Slug setelah trim: '${slug}'`);
 
+    const lihatSemua = await adalahUserRedaksi(request);
+
     // Query database
-    const query = fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id")
-      .where("a.slug", slug);
+    const query = filterArtikelTerbit(
+      fastify.db
+        .select("a.*", "c.name as category_name", "c.slug as category_slug")
+        .from("articles as a")
+        .join("categories as c", "a.category_id", "c.id")
+        .where("a.slug", slug),
+      lihatSemua
+    );
 
     console.log("SQL Query:", query.toString());
 
@@ -388,6 +651,22 @@ fastify.get("/api/articles/slug/:slug", async (request, reply) => {
     );
 
     if (!article) {
+      // Slug lama dialihkan permanen ke slug terbaru artikel
+      const artikelBaru = await filterArtikelTerbit(
+        querySlugBaru("articles", "article", slug),
+        lihatSemua,
+        "t.status"
+      ).first();
+
+      if (artikelBaru) {
+        return kirimPengalihan(
+          reply,
+          "Artikel telah dipindahkan",
+          artikelBaru.slug,
+          `/api/articles/slug/${encodeURIComponent(artikelBaru.slug)}`
+        );
+      }
+
       // Debug: Cek contoh artikel yang tersedia
       const allArticles = await fastify.db
         .select("id", "slug", "title")
@@ -403,6 +682,30 @@ fastify.get("/api/articles/slug/:slug", async (request, reply) => {
       });
     }
 
+    article.breadcrumbs = ancestorsOf(
+      await ambilSemuaKategori(),
+      article.category_id
+    );
+
+    // Penulis (urutan byline) dan tag ikut dipakai di meta tag
+    [article.authors, article.tags] = await Promise.all([
+      fastify.db
+        .select("au.id", "au.display_name", "au.slug", "au.avatar_url")
+        .from("article_authors as aa")
+        .join("authors as au", "aa.author_id", "au.id")
+        .where("aa.article_id", article.id)
+        .orderBy("aa.position"),
+      fastify.db
+        .select("t.id", "t.name", "t.slug")
+        .from("article_tags as at")
+        .join("tags as t", "at.tag_id", "t.id")
+        .where("at.article_id", article.id)
+        .orderBy("t.name"),
+    ]);
+
+    // Canonical URL, Open Graph, Twitter Card dan JSON-LD untuk meta tag
+    article.seo = buildArticleSeo(article, urlPublikApi(request));
+
     return { article };
   } catch (error) {
     fastify.log.error("Error dalam endpoint slug:", error);
@@ -431,22 +734,29 @@ fastify.get("/api/categories/:categoryId/articles", async (request, reply) => {
       return reply.code(404).send({ error: "Kategori tidak ditemukan" });
     }
 
+    const lihatSemua = await adalahUserRedaksi(request);
+
+    // includeChildren=true ikut menampilkan artikel dari seluruh subkategori
+    const daftarIdKategori =
+      request.query.includeChildren === "true"
+        ? descendantIdsOf(await ambilSemuaKategori(), categoryExists.id)
+        : [categoryExists.id];
+
     // Mendapatkan artikel
-    const articles = await fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id")
-      .where("a.category_id", request.params.categoryId)
-      .orderBy("a.date_published", "desc")
+    const articles = await queryDaftarArtikel(lihatSemua)
+      .whereIn("a.category_id", daftarIdKategori)
       .limit(perPage)
       .offset(offset);
 
     // Mendapatkan total jumlah untuk pagination
-    const countResult = await fastify
-      .db("articles")
-      .count("* as total")
-      .where("category_id", request.params.categoryId)
-      .first();
+    const countResult = await filterArtikelTerbit(
+      fastify
+        .db("articles")
+        .count("* as total")
+        .whereIn("category_id", daftarIdKategori),
+      lihatSemua,
+      "status"
+    ).first();
 
     const total = countResult.total;
     const totalPages = Math.ceil(total / perPage);
@@ -466,27 +776,48 @@ fastify.get("/api/categories/:categoryId/articles", async (request, reply) => {
   }
 });
 
+// ===== ROUTE HALAMAN DEPAN =====
+
+// Mendapatkan seluruh isi halaman depan dalam satu permintaan: grup posisi,
+// rail artikel terbaru per kategori dan daftar kategori (di-cache singkat)
+fastify.get("/api/homepage", async (request, reply) => {
+  try {
+    const homepage = await getHomepage(fastify.db);
+    reply.header("Cache-Control", `public, max-age=${HOMEPAGE.cacheTtl}`);
+    return homepage;
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+
 // ===== ROUTES POSISI ARTIKEL =====
 
 // Mendapatkan artikel berdasarkan posisi (headline, sub_headline, news_list)
 fastify.get("/api/positions/:position", async (request, reply) => {
-  const validPositions = ["headline", "sub_headline", "news_list"];
   const position = request.params.position;
 
-  if (!validPositions.includes(position)) {
+  if (!isValidPosition(position)) {
     return reply.code(400).send({
       error: "Posisi tidak valid",
-      message: `Posisi harus salah satu dari: ${validPositions.join(", ")}`,
+      message: `Posisi harus salah satu dari: ${Object.keys(POSITIONS).join(
+        ", "
+      )}`,
     });
   }
 
   try {
-    const articles = await fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id")
-      .join("article_positions as ap", "a.id", "ap.article_id")
-      .where("ap.position", position)
+    const articles = await filterArtikelTerbit(
+      fastify.db
+        .select("a.*", "c.name as category_name", "c.slug as category_slug")
+        .from("articles as a")
+        .join("categories as c", "a.category_id", "c.id")
+        .join("article_positions as ap", "a.id", "ap.article_id")
+        .where("ap.position", position)
+        .modify(filterPenempatanAktif),
+      await adalahUserRedaksi(request)
+    )
+      .orderBy("ap.slot_order")
       .orderBy("a.date_published", "desc");
 
     return { articles };
@@ -498,25 +829,6 @@ fastify.get("/api/positions/:position", async (request, reply) => {
 
 // Mengambil Gambar dengan tambahan Path
 
-// Konfigurasi path penyimpanan gambar
-const IMAGE_STORAGE_PATHS = [
-  path.join(
-    "C:",
-    "laragon",
-    "www",
-    "FilamentPHP",
-    "cms",
-    "storage",
-    "app",
-    "public",
-    "article_images"
-  ),
-  path.join(process.cwd(), "cms", "storage", "app", "public", "article_images"),
-  path.join(process.cwd(), "storage", "app", "public", "article_images"),
-  path.join(process.cwd(), "public", "storage", "article_images"),
-  path.join(process.cwd(), "article_images"),
-];
-
 // Fungsi sanitasi nama file
 const sanitizeFilename = (filename) => {
   return path
@@ -525,34 +837,9 @@ const sanitizeFilename = (filename) => {
     .substring(0, 255);
 };
 
-// Fungsi pencarian gambar
-const findImage = async (filename) => {
-  const sanitizedFilename = sanitizeFilename(filename);
-
-  for (const basePath of IMAGE_STORAGE_PATHS) {
-    const fullPath = path.join(basePath, sanitizedFilename);
-
-    try {
-      await fs.access(fullPath);
-      return fullPath;
-    } catch {
-      continue;
-    }
-  }
-
-  // Path gambar default
-  return path.join(
-    "C:",
-    "laragon",
-    "www",
-    "FilamentPHP",
-    "cms",
-    "storage",
-    "app",
-    "public",
-    "default-image.jpg"
-  );
-};
+// Cari file gambar lewat indeks penyimpanan (null jika tidak ada)
+const cariFileGambar = (filename) =>
+  penyimpanan.find(sanitizeFilename(filename));
 
 // Fungsi menentukan tipe konten
 const getContentType = (filename) => {
@@ -571,20 +858,127 @@ const getContentType = (filename) => {
   return mimeTypes[ext] || "application/octet-stream";
 };
 
-// Route handler gambar artikel
+// Periksa If-None-Match / If-Modified-Since dari klien
+const kontenBelumBerubah = (request, etag, terakhirDiubah) => {
+  const ifNoneMatch = request.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch
+        .split(",")
+        .some((tag) => tag.trim().replace(/^W\//, "") === etag)
+    );
+  }
+
+  const ifModifiedSince = Date.parse(request.headers["if-modified-since"]);
+  return (
+    Boolean(terakhirDiubah) &&
+    !isNaN(ifModifiedSince) &&
+    Math.floor(terakhirDiubah.getTime() / 1000) * 1000 <= ifModifiedSince
+  );
+};
+
+// Kirim file gambar (dari penyimpanan atau cache varian) secara streaming
+// dengan ETag kuat dan Last-Modified dari ukuran/waktu file, 304 untuk
+// permintaan bersyarat dan dukungan Range (206/416)
+const kirimFileGambar = async (request, reply, file, contentType) => {
+  const etag = `"${file.size.toString(16)}-${Math.floor(
+    file.mtime.getTime()
+  ).toString(16)}"`;
+
+  reply
+    .header("Content-Type", contentType)
+    .header("Cache-Control", `public, max-age=${IMAGES.maxAge}`)
+    .header("ETag", etag)
+    .header("Last-Modified", file.mtime.toUTCString())
+    .header("Accept-Ranges", "bytes");
+
+  if (kontenBelumBerubah(request, etag, file.mtime)) {
+    return reply.code(304).send();
+  }
+
+  if (
+    request.headers.range &&
+    rangeStillValid(request.headers["if-range"], etag, file.mtime)
+  ) {
+    const rentang = parseRange(request.headers.range, file.size);
+
+    if (rentang === false) {
+      reply.removeHeader("Content-Type");
+      return reply
+        .code(416)
+        .header("Content-Range", `bytes */${file.size}`)
+        .send();
+    }
+
+    if (rentang) {
+      return reply
+        .code(206)
+        .header(
+          "Content-Range",
+          `bytes ${rentang.start}-${rentang.end}/${file.size}`
+        )
+        .header("Content-Length", rentang.end - rentang.start + 1)
+        .send(await file.open(rentang));
+    }
+  }
+
+  return reply.header("Content-Length", file.size).send(await file.open());
+};
+
+// Gambar tidak ada: kirim placeholder (jika diatur) dengan status 404
+const kirimGambarTidakAda = async (reply) => {
+  if (IMAGES.placeholder) {
+    try {
+      const file = await statLocalFile(IMAGES.placeholder);
+
+      return reply
+        .code(404)
+        .header("Content-Type", getContentType(IMAGES.placeholder))
+        .header("Cache-Control", `public, max-age=${IMAGES.placeholderMaxAge}`)
+        .header("Content-Length", file.size)
+        .send(await file.open());
+    } catch (error) {
+      fastify.log.warn(
+        `Placeholder gambar tidak dapat dibaca: ${error.message}`
+      );
+    }
+  }
+
+  return reply.code(404).send({ error: "Gambar tidak ditemukan" });
+};
+
+// Route handler gambar artikel. Parameter preset/width/height/fit/quality/
+// format menghasilkan varian yang diubah ukuran/formatnya (lihat
+// src/config/images.js); tanpa parameter, gambar asli yang dikirim.
 fastify.get("/article_images/:filename", async (request, reply) => {
+  const { variant, error } = parseVariantQuery(request.query);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
   try {
-    const { filename } = request.params;
-    const imagePath = await findImage(filename);
+    const sumber = await cariFileGambar(request.params.filename);
+    if (!sumber) {
+      return await kirimGambarTidakAda(reply);
+    }
 
-    // Baca file gambar
-    const imageBuffer = await fs.readFile(imagePath);
+    if (variant) {
+      const varian = await getImageVariant(sumber, variant);
+      return await kirimFileGambar(
+        request,
+        reply,
+        await statLocalFile(varian.path),
+        varian.contentType
+      );
+    }
 
-    // Tetapkan header
-    reply
-      .header("Content-Type", getContentType(imagePath))
-      .header("Cache-Control", "public, max-age=86400")
-      .send(imageBuffer);
+    return await kirimFileGambar(
+      request,
+      reply,
+      sumber,
+      getContentType(sumber.name)
+    );
   } catch (error) {
     fastify.log.error(`Kesalahan mengakses gambar: ${error}`);
     reply.code(500).send({
@@ -593,17 +987,296 @@ fastify.get("/article_images/:filename", async (request, reply) => {
     });
   }
 });
+
+// ===== ROUTE FEED RSS / ATOM =====
+
+// Alamat publik backend ini (untuk URL gambar dan link self feed)
+const urlPublikApi = (request) =>
+  SITE.apiUrl || `${request.protocol}://${request.host}`;
+
+// Nama penulis per artikel (Map id artikel -> daftar nama)
+const ambilPenulisArtikel = async (daftarIdArtikel) => {
+  const penulis = new Map();
+  if (daftarIdArtikel.length === 0) {
+    return penulis;
+  }
+
+  const rows = await fastify.db
+    .select("aa.article_id", "au.display_name")
+    .from("article_authors as aa")
+    .join("authors as au", "aa.author_id", "au.id")
+    .whereIn("aa.article_id", daftarIdArtikel)
+    .orderBy(["aa.article_id", "aa.position"]);
+
+  for (const row of rows) {
+    if (!penulis.has(row.article_id)) {
+      penulis.set(row.article_id, []);
+    }
+    penulis.get(row.article_id).push(row.display_name);
+  }
+
+  return penulis;
+};
+
+// Enclosure gambar artikel; ukuran file diambil dari indeks penyimpanan
+const buatEnclosure = async (article, baseUrl) => {
+  const url = imageUrl(article.image_url, baseUrl);
+  if (!url) {
+    return null;
+  }
+
+  let length = 0;
+  if (url.startsWith(`${SITE.apiUrl || baseUrl}/article_images/`)) {
+    try {
+      length = (await cariFileGambar(article.image_url))?.size || 0;
+    } catch {
+      length = 0;
+    }
+  }
+
+  return { url, type: getContentType(url), length };
+};
+
+// Kirim dokumen XML ({ xml, etag, lastModified }) dengan dukungan
+// conditional GET (dipakai feed dan sitemap)
+const kirimXml = (request, reply, dokumen, tipeKonten, maxAge) => {
+  const etag =
+    dokumen.etag ||
+    `"${crypto.createHash("sha1").update(dokumen.xml).digest("base64url")}"`;
+
+  reply
+    .header("ETag", etag)
+    .header("Cache-Control", `public, max-age=${maxAge}`);
+  if (dokumen.lastModified) {
+    reply.header("Last-Modified", dokumen.lastModified.toUTCString());
+  }
+
+  if (kontenBelumBerubah(request, etag, dokumen.lastModified)) {
+    return reply.code(304).send();
+  }
+
+  return reply.type(`${tipeKonten}; charset=utf-8`).send(dokumen.xml);
+};
+
+// Susun dan kirim feed
+const kirimFeed = async (request, reply, format, channel, articles) => {
+  const baseUrl = urlPublikApi(request);
+  const penulis = await ambilPenulisArtikel(articles.map((a) => a.id));
+
+  const items = await Promise.all(
+    articles.map(async (article) => ({
+      title: article.title,
+      url: articleUrl(article.slug),
+      summary: article.description,
+      content: FEEDS.fullContent ? article.content : null,
+      published: article.date_published,
+      updated: article.updated_at,
+      categories: [article.category_name],
+      authors: penulis.get(article.id) || [],
+      enclosure: await buatEnclosure(article, baseUrl),
+    }))
+  );
+
+  const infoFeed = {
+    description: SITE.description,
+    ...channel,
+    language: SITE.language,
+    author: SITE.name,
+    ttl: Math.ceil(FEEDS.cacheTtl / 60),
+    selfUrl: `${baseUrl}${request.url.split("?")[0]}`,
+  };
+  const xml =
+    format === "atom" ? buildAtom(infoFeed, items) : buildRss(infoFeed, items);
+
+  return kirimXml(
+    request,
+    reply,
+    { xml, lastModified: lastUpdated(items) },
+    format === "atom" ? "application/atom+xml" : "application/rss+xml",
+    FEEDS.cacheTtl
+  );
+};
+
+// Jumlah item per feed (?limit=, dibatasi FEED_MAX_ITEMS)
+const bacaLimitFeed = (request) =>
+  Math.max(
+    1,
+    Math.min(parseInt(request.query.limit) || FEEDS.items, FEEDS.maxItems)
+  );
+
+// Setiap feed tersedia sebagai RSS 2.0 (.xml) dan Atom (.atom)
+for (const [ekstensi, format] of [
+  ["xml", "rss"],
+  ["atom", "atom"],
+]) {
+  // Feed seluruh situs
+  fastify.get(`/feed.${ekstensi}`, async (request, reply) => {
+    try {
+      const articles = await queryDaftarArtikel(false).limit(
+        bacaLimitFeed(request)
+      );
+
+      return await kirimFeed(
+        request,
+        reply,
+        format,
+        { title: SITE.name, link: SITE.url },
+        articles
+      );
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+    }
+  });
+
+  // Feed per kategori (includeChildren=true ikut memuat subkategori)
+  fastify.get(`/categories/:slug/feed.${ekstensi}`, async (request, reply) => {
+    try {
+      const category = await fastify.db
+        .select("id", "name", "slug")
+        .from("categories")
+        .where("slug", request.params.slug)
+        .first();
+
+      if (!category) {
+        return reply.code(404).send({ error: "Kategori tidak ditemukan" });
+      }
+
+      const daftarIdKategori =
+        request.query.includeChildren === "true"
+          ? descendantIdsOf(await ambilSemuaKategori(), category.id)
+          : [category.id];
+
+      const articles = await queryDaftarArtikel(false)
+        .whereIn("a.category_id", daftarIdKategori)
+        .limit(bacaLimitFeed(request));
+
+      return await kirimFeed(
+        request,
+        reply,
+        format,
+        {
+          title: `${category.name} - ${SITE.name}`,
+          link: categoryUrl(category.slug),
+        },
+        articles
+      );
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+    }
+  });
+
+  // Feed per tag
+  fastify.get(`/tags/:slug/feed.${ekstensi}`, async (request, reply) => {
+    try {
+      const tag = await fastify.db
+        .select("id", "name", "slug")
+        .from("tags")
+        .where("slug", request.params.slug)
+        .first();
+
+      if (!tag) {
+        return reply.code(404).send({ error: "Tag tidak ditemukan" });
+      }
+
+      const articles = await queryDaftarArtikel(false)
+        .whereIn(
+          "a.id",
+          fastify
+            .db("article_tags")
+            .select("article_id")
+            .where("tag_id", tag.id)
+        )
+        .limit(bacaLimitFeed(request));
+
+      return await kirimFeed(
+        request,
+        reply,
+        format,
+        { title: `${tag.name} - ${SITE.name}`, link: tagUrl(tag.slug) },
+        articles
+      );
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+    }
+  });
+}
+
+// ===== ROUTE SITEMAP =====
+
+// Sitemap index berisi sitemap anak artikel, kategori dan penulis
+fastify.get("/sitemap.xml", async (request, reply) => {
+  try {
+    const dokumen = await sitemaps.index(urlPublikApi(request));
+    return kirimXml(
+      request,
+      reply,
+      dokumen,
+      "application/xml",
+      SITEMAPS.cacheTtl
+    );
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+
+// Sitemap anak, contoh /sitemaps/articles-1.xml
+fastify.get("/sitemaps/:name.xml", async (request, reply) => {
+  try {
+    const dokumen =
+      request.params.name !== "news"
+        ? await sitemaps.get(request.params.name)
+        : null;
+
+    if (!dokumen) {
+      return reply.code(404).send({ error: "Sitemap tidak ditemukan" });
+    }
+
+    return kirimXml(
+      request,
+      reply,
+      dokumen,
+      "application/xml",
+      SITEMAPS.cacheTtl
+    );
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+
+// Sitemap Google News (artikel yang terbit 48 jam terakhir)
+fastify.get("/news-sitemap.xml", async (request, reply) => {
+  try {
+    const dokumen = await sitemaps.get("news");
+    return kirimXml(
+      request,
+      reply,
+      dokumen,
+      "application/xml",
+      SITEMAPS.cacheTtl
+    );
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+
 // Mendapatkan artikel berdasarkan posisi untuk kategori tertentu
 fastify.get(
   "/api/categories/:categoryId/positions/:position",
   async (request, reply) => {
-    const validPositions = ["headline", "sub_headline", "news_list"];
     const position = request.params.position;
 
-    if (!validPositions.includes(position)) {
+    if (!isValidPosition(position)) {
       return reply.code(400).send({
         error: "Posisi tidak valid",
-        message: `Posisi harus salah satu dari: ${validPositions.join(", ")}`,
+        message: `Posisi harus salah satu dari: ${Object.keys(POSITIONS).join(
+          ", "
+        )}`,
       });
     }
 
@@ -619,15 +1292,20 @@ fastify.get(
         return reply.code(404).send({ error: "Kategori tidak ditemukan" });
       }
 
-      const articles = await fastify.db
-        .select("a.*", "c.name as category_name", "c.slug as category_slug")
-        .from("articles as a")
-        .join("categories as c", "a.category_id", "c.id")
-        .join("article_positions as ap", "a.id", "ap.article_id")
-        .where({
-          "ap.category_id": request.params.categoryId,
-          "ap.position": position,
-        })
+      const articles = await filterArtikelTerbit(
+        fastify.db
+          .select("a.*", "c.name as category_name", "c.slug as category_slug")
+          .from("articles as a")
+          .join("categories as c", "a.category_id", "c.id")
+          .join("article_positions as ap", "a.id", "ap.article_id")
+          .where({
+            "ap.category_id": request.params.categoryId,
+            "ap.position": position,
+          })
+          .modify(filterPenempatanAktif),
+        await adalahUserRedaksi(request)
+      )
+        .orderBy("ap.slot_order")
         .orderBy("a.date_published", "desc");
 
       return { articles };
@@ -638,6 +1316,129 @@ fastify.get(
   }
 );
 // ===== Rute Untuk Pencarian =====
+
+// Catat pencarian untuk analitik. searchId dikembalikan ke klien untuk
+// melaporkan artikel yang diklik lewat POST /api/search/click
+const catatPencarian = (reply, endpoint, kataKunci, jumlahHasil) =>
+  logPencarian.record({
+    query: kataKunci,
+    endpoint,
+    resultCount: jumlahHasil,
+    latencyMs: reply.elapsedTime,
+  });
+
+// Pencarian lewat indeks di dalam proses. Baris artikel diambil ulang dari
+// database (dengan filter status) agar data selalu terbaru.
+const cariDenganIndeks = async (kataKunci, limit, opsi, lihatSemua) => {
+  const suggestions = indeksPencarian
+    .suggest(kataKunci, { limit, includeUnpublished: lihatSemua })
+    .map((item) => item.label);
+  const { hits } = indeksPencarian.search(kataKunci, {
+    limit,
+    sort: opsi.sort,
+    includeUnpublished: lihatSemua,
+  });
+
+  if (hits.length === 0) {
+    return { suggestions, articles: [] };
+  }
+
+  const urutan = new Map(hits.map((hit, posisi) => [hit.id, posisi]));
+  const skor = new Map(hits.map((hit) => [hit.id, hit.score]));
+  const articles = await filterArtikelTerbit(
+    fastify.db
+      .select("a.*", "c.name as category_name", "c.slug as category_slug")
+      .from("articles as a")
+      .join("categories as c", "a.category_id", "c.id")
+      .whereIn("a.id", [...urutan.keys()]),
+    lihatSemua
+  );
+
+  return {
+    suggestions,
+    articles: articles
+      .map((article) => ({ ...article, relevance: skor.get(article.id) }))
+      .sort((a, b) => urutan.get(a.id) - urutan.get(b.id)),
+  };
+};
+
+// Pencarian lewat FULLTEXT MySQL dan saran judul dengan LIKE
+const cariDenganFulltext = async (kataKunci, limit, opsi, lihatSemua) => {
+  // Mendapatkan saran pencarian berdasarkan judul artikel
+  const suggestions = await filterArtikelTerbit(
+    fastify.db
+      .select("title")
+      .from("articles")
+      .whereRaw("LOWER(title) LIKE ?", [`${kataKunci.toLowerCase()}%`]),
+    lihatSemua,
+    "status"
+  )
+    .orderBy("date_published", "desc")
+    .limit(limit);
+
+  // Mendapatkan artikel yang cocok dengan query pencarian (FULLTEXT)
+  const articles = await orderSearchResults(
+    filterArtikelTerbit(
+      terapkanPencarian(
+        fastify.db
+          .select("a.*", "c.name as category_name", "c.slug as category_slug")
+          .from("articles as a")
+          .join("categories as c", "a.category_id", "c.id"),
+        kataKunci,
+        opsi
+      ),
+      lihatSemua
+    ),
+    opsi.sort
+  ).limit(limit);
+
+  return { suggestions: suggestions.map((item) => item.title), articles };
+};
+
+// Membaca opsi pencarian mode (natural|boolean) dan sort (relevance|date).
+// Tanpa kata kunci, hasil selalu diurutkan berdasarkan tanggal.
+const bacaOpsiPencarian = (request, adaKataKunci) => {
+  const mode = request.query.mode || "natural";
+  const sort = request.query.sort || (adaKataKunci ? "relevance" : "date");
+
+  if (!Object.prototype.hasOwnProperty.call(SEARCH_MODES, mode)) {
+    return {
+      error: `Mode harus salah satu dari: ${Object.keys(SEARCH_MODES).join(
+        ", "
+      )}`,
+    };
+  }
+
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `Sort harus salah satu dari: ${SEARCH_SORTS.join(", ")}` };
+  }
+
+  return {
+    mode,
+    sort: adaKataKunci ? sort : "date",
+    // includeContent=false menghilangkan isi artikel lengkap dari hasil
+    includeContent: request.query.includeContent !== "false",
+  };
+};
+
+// Menambahkan kondisi pencarian FULLTEXT beserta skor relevansi.
+// Kata kunci yang terlalu pendek untuk indeks FULLTEXT memakai LIKE pada judul.
+const terapkanPencarian = (query, kataKunci, opsi = {}) => {
+  const teks = normalizeFulltextQuery(kataKunci, opsi.mode);
+
+  if (isFulltextSearchable(teks)) {
+    return applyFulltextSearch(query, fastify.db, teks, opsi);
+  }
+
+  if (opsi.select !== false) {
+    query.select(fastify.db.raw("0 AS relevance"));
+  }
+
+  return query.whereRaw("LOWER(a.title) LIKE ?", [
+    `%${kataKunci.toLowerCase()}%`,
+  ]);
+};
+
 // API endpoint untuk pencarian artikel dengan saran pencarian
 fastify.get("/api/articles/search", async (request, reply) => {
   try {
@@ -648,27 +1449,32 @@ fastify.get("/api/articles/search", async (request, reply) => {
       return { suggestions: [], articles: [] };
     }
 
-    // Mendapatkan saran pencarian berdasarkan judul artikel
-    const suggestions = await fastify.db
-      .select("title")
-      .from("articles")
-      .whereRaw("LOWER(title) LIKE ?", [`${searchQuery.toLowerCase()}%`])
-      .orderBy("date_published", "desc")
-      .limit(limit);
+    const opsi = bacaOpsiPencarian(request, true);
+    if (opsi.error) {
+      return reply.code(400).send({ error: opsi.error });
+    }
 
-    // Mendapatkan artikel yang cocok dengan query pencarian
-    const articles = await fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id")
-      .whereRaw("LOWER(a.title) LIKE ?", [`%${searchQuery.toLowerCase()}%`])
-      .orWhereRaw("LOWER(a.content) LIKE ?", [`%${searchQuery.toLowerCase()}%`])
-      .orderBy("a.date_published", "desc")
-      .limit(limit);
+    // Kata yang dicari menjadi bobot popularitas autocomplete
+    autocomplete.recordSearch(searchQuery);
+
+    const lihatSemua = await adalahUserRedaksi(request);
+
+    // Indeks di dalam proses dipakai bila sudah siap; mode boolean tetap
+    // memakai FULLTEXT MySQL karena indeks tidak mengenal operator boolean
+    const { suggestions, articles } =
+      indeksPencarian.ready && opsi.mode !== "boolean"
+        ? await cariDenganIndeks(searchQuery, limit, opsi, lihatSemua)
+        : await cariDenganFulltext(searchQuery, limit, opsi, lihatSemua);
+
+    // Tambahkan cuplikan dengan <mark>, judul tersorot dan field yang cocok
+    const kataKunci = searchTerms(searchQuery);
 
     return {
-      suggestions: suggestions.map((item) => item.title),
-      articles,
+      suggestions,
+      articles: articles.map((article) =>
+        buildSearchHit(article, kataKunci, opsi)
+      ),
+      searchId: catatPencarian(reply, "search", searchQuery, articles.length),
     };
   } catch (error) {
     fastify.log.error(error);
@@ -689,21 +1495,72 @@ fastify.get("/api/suggestions", async (request, reply) => {
     return;
   }
 
+  // types=article,tag,category membatasi jenis saran
+  const jenisSaran = request.query.types
+    ? String(request.query.types).split(",")
+    : null;
+  if (
+    jenisSaran &&
+    !jenisSaran.every((jenis) => ["article", "tag", "category"].includes(jenis))
+  ) {
+    return reply.code(400).send({
+      status: "error",
+      message: "Parameter types harus berisi article, tag dan/atau category",
+      suggestions: [],
+    });
+  }
+
   try {
-    // Query untuk mencari saran berdasarkan judul artikel
-    const suggestions = await fastify.db
-      .select("title")
-      .from("articles")
-      .whereRaw("LOWER(title) LIKE ?", [`%${searchQuery.toLowerCase()}%`])
-      .limit(10);
+    const lihatSemua = await adalahUserRedaksi(request);
+    let items = [];
+
+    // 1. Autocomplete prefiks atas judul, tag dan kategori
+    if (autocomplete.ready) {
+      items = autocomplete.suggest(searchQuery, {
+        limit: 10,
+        types: jenisSaran,
+      });
+    }
+
+    // 2. Tanpa hasil prefiks: indeks pencarian (stemming dan salah ketik)
+    if (
+      items.length === 0 &&
+      indeksPencarian.ready &&
+      (!jenisSaran || jenisSaran.includes("article"))
+    ) {
+      items = indeksPencarian.suggest(searchQuery, {
+        limit: 10,
+        includeUnpublished: lihatSemua,
+      });
+    }
 
-    // Ekstrak judul sebagai saran
-    const suggestionList = suggestions.map((item) => item.title);
+    // 3. Selama keduanya belum siap: judul artikel dengan LIKE
+    if (!autocomplete.ready && !indeksPencarian.ready) {
+      items = (
+        await filterArtikelTerbit(
+          fastify.db
+            .select("id", "title", "slug")
+            .from("articles")
+            .whereRaw("LOWER(title) LIKE ?", [
+              `%${searchQuery.toLowerCase()}%`,
+            ]),
+          lihatSemua,
+          "status"
+        ).limit(10)
+      ).map((item) => ({
+        type: "article",
+        id: item.id,
+        label: item.title,
+        slug: item.slug,
+      }));
+    }
 
     return {
       status: "success",
-      count: suggestionList.length,
-      suggestions: suggestionList,
+      count: items.length,
+      suggestions: items.map((item) => item.label),
+      items,
+      searchId: catatPencarian(reply, "suggestions", searchQuery, items.length),
     };
   } catch (error) {
     fastify.log.error(error);
@@ -722,29 +1579,40 @@ fastify.get("/api/articles/search/advanced", async (request, reply) => {
   const perPage = parseInt(request.query.perPage) || 10;
   const offset = (page - 1) * perPage;
 
+  const opsi = bacaOpsiPencarian(request, Boolean(searchQuery));
+  if (opsi.error) {
+    return reply.code(400).send({ error: opsi.error });
+  }
+
+  if (searchQuery) {
+    autocomplete.recordSearch(searchQuery);
+  }
+
   try {
+    const lihatSemua = await adalahUserRedaksi(request);
+
     // Buat query dasar
-    let articlesQuery = fastify.db
-      .select("a.*", "c.name as category_name", "c.slug as category_slug")
-      .from("articles as a")
-      .join("categories as c", "a.category_id", "c.id");
+    let articlesQuery = filterArtikelTerbit(
+      fastify.db
+        .select("a.*", "c.name as category_name", "c.slug as category_slug")
+        .from("articles as a")
+        .join("categories as c", "a.category_id", "c.id"),
+      lihatSemua
+    );
 
     // Buat query untuk menghitung total hasil
-    let countQuery = fastify.db("articles as a");
+    let countQuery = filterArtikelTerbit(
+      fastify.db("articles as a"),
+      lihatSemua
+    );
 
-    // Tambahkan kondisi pencarian jika ada query
+    // Tambahkan kondisi pencarian FULLTEXT jika ada query
     if (searchQuery) {
-      articlesQuery = articlesQuery
-        .whereRaw("LOWER(a.title) LIKE ?", [`%${searchQuery.toLowerCase()}%`])
-        .orWhereRaw("LOWER(a.content) LIKE ?", [
-          `%${searchQuery.toLowerCase()}%`,
-        ]);
-
-      countQuery = countQuery
-        .whereRaw("LOWER(a.title) LIKE ?", [`%${searchQuery.toLowerCase()}%`])
-        .orWhereRaw("LOWER(a.content) LIKE ?", [
-          `%${searchQuery.toLowerCase()}%`,
-        ]);
+      articlesQuery = terapkanPencarian(articlesQuery, searchQuery, opsi);
+      countQuery = terapkanPencarian(countQuery, searchQuery, {
+        ...opsi,
+        select: false,
+      });
     }
 
     // Tambahkan filter kategori jika ada
@@ -754,13 +1622,23 @@ fastify.get("/api/articles/search/advanced", async (request, reply) => {
     }
 
     // Finalisasi query artikel dengan ordering, limit dan offset
-    articlesQuery = articlesQuery
-      .orderBy("a.date_published", "desc")
+    articlesQuery = orderSearchResults(articlesQuery, opsi.sort)
       .limit(perPage)
       .offset(offset);
 
-    // Eksekusi query artikel
-    const articles = await articlesQuery;
+    // Eksekusi query artikel, lengkapi dengan cuplikan jika ada kata kunci
+    const kataKunci = searchTerms(searchQuery);
+    const articles = (await articlesQuery).map((article) => {
+      if (searchQuery) {
+        return buildSearchHit(article, kataKunci, opsi);
+      }
+
+      if (!opsi.includeContent) {
+        delete article.content;
+      }
+
+      return article;
+    });
 
     // Hitung total hasil untuk pagination
     const countResult = await countQuery.count("* as total").first();
@@ -775,23 +1653,260 @@ fastify.get("/api/articles/search/advanced", async (request, reply) => {
         currentPage: page,
         totalPages,
       },
+      searchId: catatPencarian(reply, "advanced", searchQuery, Number(total)),
+    };
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+// ===== Rute Pencarian Berfaset =====
+
+// Memecah parameter daftar "a,b,c" menjadi array tanpa elemen kosong
+const bacaDaftar = (nilai) =>
+  String(nilai || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Membaca batas tanggal. Tanggal tanpa jam (YYYY-MM-DD) pada batas akhir
+// dianggap inklusif sampai akhir hari tersebut.
+const bacaTanggal = (nilai, batasAkhir = false) => {
+  if (!nilai) {
+    return null;
+  }
+
+  const tanggal = new Date(nilai);
+  if (Number.isNaN(tanggal.getTime())) {
+    return undefined;
+  }
+
+  if (batasAkhir && /^\d{4}-\d{2}-\d{2}$/.test(nilai)) {
+    tanggal.setUTCDate(tanggal.getUTCDate() + 1);
+  }
+
+  return tanggal;
+};
+
+// Pencarian berfaset: banyak kategori, rentang tanggal, penulis dan tag.
+// Dalam satu faset filter bersifat OR, antar faset bersifat AND.
+// Hitungan faset kategori mengabaikan filter kategori (dan faset bulan
+// mengabaikan filter tanggal) agar pilihan lain tetap terlihat.
+fastify.get("/api/articles/search/faceted", async (request, reply) => {
+  const searchQuery = request.query.q || "";
+  const page = parseInt(request.query.page) || 1;
+  const perPage = Math.min(parseInt(request.query.perPage) || 10, 100);
+  const offset = (page - 1) * perPage;
+
+  const opsi = bacaOpsiPencarian(request, Boolean(searchQuery));
+  if (opsi.error) {
+    return reply.code(400).send({ error: opsi.error });
+  }
+
+  if (searchQuery) {
+    autocomplete.recordSearch(searchQuery);
+  }
+
+  const idKategori = bacaDaftar(request.query.categoryIds).map(Number);
+  const slugPenulis = bacaDaftar(request.query.authors);
+  const slugTag = bacaDaftar(request.query.tags);
+  const dari = bacaTanggal(request.query.from);
+  const sampai = bacaTanggal(request.query.to, true);
+
+  if (idKategori.some((id) => !Number.isInteger(id) || id < 1)) {
+    return reply
+      .code(400)
+      .send({ error: "categoryIds harus berisi ID kategori yang valid" });
+  }
+
+  if (dari === undefined || sampai === undefined) {
+    return reply
+      .code(400)
+      .send({ error: "Parameter from/to harus berupa tanggal yang valid" });
+  }
+
+  try {
+    const lihatSemua = await adalahUserRedaksi(request);
+
+    // includeChildren=true ikut mencakup seluruh subkategori
+    let daftarIdKategori = idKategori;
+    if (idKategori.length && request.query.includeChildren === "true") {
+      const kategori = await ambilSemuaKategori();
+      daftarIdKategori = [
+        ...new Set(idKategori.flatMap((id) => descendantIdsOf(kategori, id))),
+      ];
+    }
+
+    // Menerapkan semua filter kecuali faset yang disebut di "kecuali".
+    // Setiap faset dibungkus dalam kondisinya sendiri agar tidak bocor.
+    const terapkanFilter = (query, kecuali = null, denganSkor = false) => {
+      filterArtikelTerbit(query, lihatSemua);
+
+      if (searchQuery) {
+        terapkanPencarian(query, searchQuery, { ...opsi, select: denganSkor });
+      }
+
+      if (daftarIdKategori.length && kecuali !== "kategori") {
+        query.whereIn("a.category_id", daftarIdKategori);
+      }
+
+      if (kecuali !== "tanggal") {
+        if (dari) {
+          query.where("a.date_published", ">=", dari);
+        }
+        if (sampai) {
+          query.where("a.date_published", "<", sampai);
+        }
+      }
+
+      if (slugPenulis.length) {
+        query.whereExists(
+          fastify.db
+            .select(fastify.db.raw("1"))
+            .from("article_authors as aa")
+            .join("authors as au", "aa.author_id", "au.id")
+            .whereRaw("aa.article_id = a.id")
+            .whereIn("au.slug", slugPenulis)
+        );
+      }
+
+      if (slugTag.length) {
+        query.whereExists(
+          fastify.db
+            .select(fastify.db.raw("1"))
+            .from("article_tags as at")
+            .join("tags as t", "at.tag_id", "t.id")
+            .whereRaw("at.article_id = a.id")
+            .whereIn("t.slug", slugTag)
+        );
+      }
+
+      return query;
+    };
+
+    // Query artikel dengan skor relevansi bila ada kata kunci
+    const articlesQuery = terapkanFilter(
+      fastify.db
+        .select("a.*", "c.name as category_name", "c.slug as category_slug")
+        .from("articles as a")
+        .join("categories as c", "a.category_id", "c.id"),
+      null,
+      true
+    );
+
+    const [articles, countResult, fasetKategori, fasetBulan] =
+      await Promise.all([
+        orderSearchResults(articlesQuery, opsi.sort)
+          .limit(perPage)
+          .offset(offset),
+        terapkanFilter(fastify.db("articles as a")).count("* as total").first(),
+        terapkanFilter(fastify.db("articles as a"), "kategori")
+          .join("categories as c", "a.category_id", "c.id")
+          .select("c.id", "c.name", "c.slug")
+          .count("* as count")
+          .groupBy("c.id", "c.name", "c.slug")
+          .orderBy("count", "desc")
+          .orderBy("c.name"),
+        terapkanFilter(fastify.db("articles as a"), "tanggal")
+          .whereNotNull("a.date_published")
+          .select(
+            fastify.db.raw("DATE_FORMAT(a.date_published, '%Y-%m') AS month")
+          )
+          .count("* as count")
+          .groupBy("month")
+          .orderBy("month", "desc"),
+      ]);
+
+    const total = Number(countResult.total);
+    const kataKunci = searchTerms(searchQuery);
+
+    return {
+      articles: articles.map((article) => {
+        if (searchQuery) {
+          return buildSearchHit(article, kataKunci, opsi);
+        }
+
+        if (!opsi.includeContent) {
+          delete article.content;
+        }
+
+        return article;
+      }),
+      facets: {
+        categories: fasetKategori.map((row) => ({
+          ...row,
+          count: Number(row.count),
+          selected: idKategori.includes(row.id),
+        })),
+        months: fasetBulan.map((row) => ({
+          month: row.month,
+          count: Number(row.count),
+        })),
+      },
+      pagination: {
+        total,
+        perPage,
+        currentPage: page,
+        totalPages: Math.ceil(total / perPage),
+      },
+      searchId: catatPencarian(reply, "faceted", searchQuery, total),
     };
   } catch (error) {
     fastify.log.error(error);
     reply.code(500).send({ error: "Terjadi kesalahan pada database" });
   }
 });
+
+// Melaporkan artikel yang diklik dari hasil pencarian (untuk analitik)
+fastify.post("/api/search/click", async (request, reply) => {
+  const { searchId, articleId } = request.body || {};
+  const idArtikel = parseInt(articleId);
+
+  if (typeof searchId !== "string" || !searchId || !(idArtikel > 0)) {
+    return reply
+      .code(400)
+      .send({ error: "searchId dan articleId wajib diisi dengan benar" });
+  }
+
+  try {
+    const tercatat = await logPencarian.recordClick(searchId, idArtikel);
+
+    if (!tercatat) {
+      return reply.code(404).send({ error: "Pencarian tidak ditemukan" });
+    }
+
+    return { status: "success" };
+  } catch (error) {
+    fastify.log.error(error);
+    reply.code(500).send({ error: "Terjadi kesalahan pada database" });
+  }
+});
+
 // Route utama dengan pesan sambutan yang lebih informatif
 fastify.get("/", async (request, reply) => {
   return {
     status: "ok",
     message: "API Berita siap digunakan",
-    endpoints: ["/api/categories", "/api/articles", "/api/positions/:position"],
+    endpoints: [
+      "/api/homepage",
+      "/api/categories",
+      "/api/articles",
+      "/api/positions/:position",
+      "/feed.xml",
+      "/feed.atom",
+      "/sitemap.xml",
+      "/news-sitemap.xml",
+    ],
   };
 });
 
 // Hook Mode untuk memutus koneksi dari ke Database
 fastify.addHook("onClose", (instance, done) => {
+  clearInterval(timerIndeksPencarian);
+  clearInterval(timerAutocomplete);
+  clearInterval(timerSitemap);
+  sitemaps.stop();
+
   if (instance.db) {
     instance.db.destroy(() => {
       fastify.log.warn("🔌 Koneksi database ditutup");
@@ -802,6 +1917,12 @@ fastify.addHook("onClose", (instance, done) => {
   }
 });
 
+// Simpan sisa log pencarian sebelum koneksi database ditutup
+// (hook onClose dijalankan dari yang terakhir didaftarkan)
+fastify.addHook("onClose", async () => {
+  await logPencarian.stop();
+});
+
 // Memulai server
 const mulai = async () => {
   try {
@@ -821,4 +1942,12 @@ const mulai = async () => {
   }
 };
 
+// Tutup server dengan rapi agar hook onClose (log pencarian, database)
+// sempat dijalankan saat proses dihentikan
+for (const sinyal of ["SIGINT", "SIGTERM"]) {
+  process.once(sinyal, () => {
+    fastify.close().then(() => process.exit(0));
+  });
+}
+
 mulai();
@@ -0,0 +1,20 @@
+import dotenv from "dotenv";
+
+// Konfigurasi knex CLI untuk migrasi skema
+// Jalankan: npx knex migrate:latest
+dotenv.config();
+
+export default {
+  client: process.env.DB_CLIENT || "mysql2",
+  connection: {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  },
+  migrations: {
+    directory: "./src/database/migrations",
+    tableName: "knex_migrations",
+  },
+};
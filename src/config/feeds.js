@@ -0,0 +1,21 @@
+// Konfigurasi feed RSS 2.0 dan Atom (/feed.xml, /feed.atom, feed kategori
+// dan tag). Dapat diubah lewat env:
+//   FEED_ITEMS - jumlah artikel bawaan per feed
+//   FEED_MAX_ITEMS - batas atas parameter ?limit=
+//   FEED_CACHE_TTL - lama cache di klien/CDN dalam detik
+//   FEED_FULL_CONTENT - "true" untuk menyertakan isi artikel lengkap
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+const maxItems = parsePositiveInt(process.env.FEED_MAX_ITEMS, 100);
+
+const FEEDS = {
+  items: Math.min(parsePositiveInt(process.env.FEED_ITEMS, 20), maxItems),
+  maxItems,
+  cacheTtl: parsePositiveInt(process.env.FEED_CACHE_TTL, 300),
+  fullContent: process.env.FEED_FULL_CONTENT === "true",
+};
+
+export { FEEDS };
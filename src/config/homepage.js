@@ -0,0 +1,41 @@
+// Konfigurasi komposisi halaman depan (GET /api/homepage).
+// Rail per kategori dapat diatur lewat env, contoh:
+//   HOMEPAGE_RAILS="nasional:6,olahraga:4,teknologi:4"
+// Tanpa HOMEPAGE_RAILS, setiap kategori induk mendapat HOMEPAGE_RAIL_SIZE artikel.
+const DEFAULT_RAIL_SIZE = 5;
+const DEFAULT_CACHE_TTL = 30;
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+function loadRails() {
+  const rails = [];
+
+  for (const entry of (process.env.HOMEPAGE_RAILS || "").split(",")) {
+    const [slug, limit] = entry.split(":").map((part) => part.trim());
+
+    if (slug && !rails.some((rail) => rail.slug === slug)) {
+      rails.push({
+        slug,
+        limit: Math.min(parsePositiveInt(limit, DEFAULT_RAIL_SIZE), 50),
+      });
+    }
+  }
+
+  return rails;
+}
+
+const HOMEPAGE = {
+  // Kosong berarti semua kategori induk, diurutkan seperti daftar kategori
+  rails: loadRails(),
+  railSize: Math.min(
+    parsePositiveInt(process.env.HOMEPAGE_RAIL_SIZE, DEFAULT_RAIL_SIZE),
+    50
+  ),
+  // Lama cache dalam detik
+  cacheTtl: parsePositiveInt(process.env.HOMEPAGE_CACHE_TTL, DEFAULT_CACHE_TTL),
+};
+
+export { HOMEPAGE };
@@ -0,0 +1,72 @@
+// Konfigurasi varian gambar /article_images (ubah ukuran dan format).
+// Hanya ukuran yang terdaftar sebagai preset yang boleh diminta, agar klien
+// tidak bisa memenuhi disk/CPU dengan ukuran acak. Dapat diubah lewat env:
+//   IMAGE_PRESETS - daftar "nama:LEBARxTINGGI[:fit]", tinggi/lebar 0 berarti
+//     mengikuti rasio, contoh "thumb:320x180:cover,medium:960x0:inside"
+//   IMAGE_QUALITIES - kualitas yang boleh diminta, contoh "50,65,80,90"
+//   IMAGE_DEFAULT_QUALITY - kualitas bila tidak diminta
+//   IMAGE_CACHE_DIR - folder cache varian yang sudah dibuat
+//   IMAGE_MAX_AGE - Cache-Control max-age gambar dalam detik
+//   IMAGE_PLACEHOLDER - path gambar pengganti untuk file yang tidak ada
+//     (dikirim dengan status 404); kosong berarti respons 404 JSON biasa
+import path from "path";
+
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+const FORMATS = ["webp", "avif", "jpeg"];
+
+const DEFAULT_PRESETS =
+  "thumb:320x180:cover,card:640x360:cover,medium:960x0:inside,large:1440x0:inside";
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+function loadPresets() {
+  const presets = {};
+
+  for (const entry of (process.env.IMAGE_PRESETS || DEFAULT_PRESETS).split(
+    ","
+  )) {
+    const [name, size = "", fit] = entry.split(":").map((part) => part.trim());
+    const [width, height] = size.split("x").map((part) => parseInt(part, 10));
+
+    if (!name || !(width > 0 || height > 0)) {
+      continue;
+    }
+
+    presets[name] = {
+      width: width > 0 ? Math.min(width, 4096) : null,
+      height: height > 0 ? Math.min(height, 4096) : null,
+      fit: FITS.includes(fit)
+        ? fit
+        : width > 0 && height > 0
+        ? "cover"
+        : "inside",
+    };
+  }
+
+  return presets;
+}
+
+const qualities = (process.env.IMAGE_QUALITIES || "50,65,80,90")
+  .split(",")
+  .map((value) => parseInt(value, 10))
+  .filter((value) => value >= 1 && value <= 100);
+
+const IMAGES = {
+  presets: loadPresets(),
+  fits: FITS,
+  formats: FORMATS,
+  qualities,
+  defaultQuality: parsePositiveInt(process.env.IMAGE_DEFAULT_QUALITY, 80),
+  cacheDir:
+    process.env.IMAGE_CACHE_DIR ||
+    path.join(process.cwd(), "storage", "cache", "article_images"),
+  maxAge: parsePositiveInt(process.env.IMAGE_MAX_AGE, 86400),
+  placeholder: process.env.IMAGE_PLACEHOLDER || "",
+  // Placeholder di-cache singkat agar gambar yang baru diunggah segera tampil
+  placeholderMaxAge: 60,
+};
+
+export { IMAGES };
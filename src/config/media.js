@@ -0,0 +1,30 @@
+// Konfigurasi unggahan dan pustaka media (/api/media). Dapat diubah lewat env:
+//   MEDIA_MAX_FILE_SIZE - ukuran file unggahan maksimum dalam byte
+//   MEDIA_MAX_PIXELS - jumlah piksel maksimum (lebar x tinggi), agar gambar
+//     kecil dengan dimensi raksasa tidak menghabiskan memori saat diproses
+//   MEDIA_REENCODE_QUALITY - kualitas saat gambar di-encode ulang untuk
+//     membuang metadata EXIF/XMP (termasuk lokasi GPS)
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+const MEDIA = {
+  maxFileSize: parsePositiveInt(
+    process.env.MEDIA_MAX_FILE_SIZE,
+    10 * 1024 * 1024
+  ),
+  maxPixels: parsePositiveInt(process.env.MEDIA_MAX_PIXELS, 50000000),
+  reencodeQuality: Math.min(
+    parsePositiveInt(process.env.MEDIA_REENCODE_QUALITY, 90),
+    100
+  ),
+  // Batas byte per field teks multipart: caption paling panjang 500
+  // karakter, hingga 4 byte per karakter dalam UTF-8
+  maxFieldSize: 4 * 500,
+  perPage: 24,
+  maxPerPage: 100,
+};
+
+export { MEDIA };
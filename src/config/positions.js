@@ -0,0 +1,35 @@
+// Registry posisi penempatan artikel (halaman depan / halaman kategori)
+// beserta kapasitas maksimum per kategori.
+// Dapat diubah lewat env, contoh: POSITION_CAPACITIES="headline:1,sub_headline:4,news_list:20,editor_pick:6"
+const DEFAULT_POSITIONS = {
+  headline: { label: "Headline", capacity: 1 },
+  sub_headline: { label: "Sub Headline", capacity: 4 },
+  news_list: { label: "Daftar Berita", capacity: 20 },
+};
+
+function loadPositions() {
+  const positions = structuredClone(DEFAULT_POSITIONS);
+
+  const override = process.env.POSITION_CAPACITIES || "";
+  for (const entry of override.split(",")) {
+    const [name, capacity] = entry.split(":").map((part) => part.trim());
+    const parsed = parseInt(capacity, 10);
+
+    if (name && /^[a-z0-9_]+$/.test(name) && parsed > 0) {
+      positions[name] = {
+        label: positions[name]?.label || name,
+        capacity: parsed,
+      };
+    }
+  }
+
+  return positions;
+}
+
+const POSITIONS = loadPositions();
+
+function isValidPosition(position) {
+  return Object.prototype.hasOwnProperty.call(POSITIONS, position);
+}
+
+export { POSITIONS, isValidPosition };
@@ -0,0 +1,11 @@
+// Peran user yang disimpan di users.role dan ditandatangani ke payload JWT
+const ROLES = {
+  ADMIN: "admin",
+  EDITOR: "editor",
+  WRITER: "writer",
+};
+
+// Peran redaksi yang boleh melihat artikel yang belum terbit
+const EDITORIAL_ROLES = [ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER];
+
+export { ROLES, EDITORIAL_ROLES };
@@ -0,0 +1,41 @@
+// Konfigurasi indeks pencarian (src/services/searchIndex.js) dan
+// autocomplete (src/services/autocomplete.js) di dalam proses.
+// Dapat diubah lewat env:
+//   SEARCH_INDEX_SYNC_INTERVAL - detik antar sinkronisasi dengan database
+//   SEARCH_INDEX_CONTENT_WORDS - jumlah kata awal isi artikel yang diindeks
+//   AUTOCOMPLETE_REFRESH_INTERVAL - detik antar pemuatan ulang autocomplete
+//   AUTOCOMPLETE_POPULARITY_HALF_LIFE - jam hingga bobot pencarian tinggal separuh
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+const SEARCH = {
+  syncInterval: parsePositiveInt(process.env.SEARCH_INDEX_SYNC_INTERVAL, 60),
+  contentWords: parsePositiveInt(process.env.SEARCH_INDEX_CONTENT_WORDS, 400),
+  // Bobot kemunculan kata per field
+  fieldWeights: { title: 3, description: 1.5, content: 1 },
+  // Toleransi salah ketik: 1 huruf untuk kata >= 4 huruf, 2 huruf untuk
+  // kata >= 8 huruf. Hasil yang cocok karena salah ketik diberi skor lebih kecil.
+  fuzzy: {
+    oneEditFrom: 4,
+    twoEditsFrom: 8,
+    penalties: [1, 0.6, 0.35],
+  },
+  autocomplete: {
+    refreshInterval: parsePositiveInt(
+      process.env.AUTOCOMPLETE_REFRESH_INTERVAL,
+      300
+    ),
+    popularityHalfLife: parsePositiveInt(
+      process.env.AUTOCOMPLETE_POPULARITY_HALF_LIFE,
+      6
+    ),
+    // Batas kata populer yang diingat dan kandidat yang diperiksa per ketikan
+    maxPopularTerms: 5000,
+    scanLimit: 1000,
+    typeWeights: { category: 1.3, tag: 1.15, article: 1 },
+  },
+};
+
+export { SEARCH };
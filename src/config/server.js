@@ -4,6 +4,9 @@ import fastifyWebsocket from "@fastify/websocket";
 import path from "path";
 import { fileURLToPath } from "url";
 import fastifyAuth from "@fastify/auth";
+import fastifyJwt from "@fastify/jwt";
+import fastifyMultipart from "@fastify/multipart";
+import { MEDIA } from "./media.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,6 +39,27 @@ fastify.register(fastifyWebsocket, {
 // Register Auth plugin dengan konfigurasi yang benar
 fastify.register(fastifyAuth);
 
+// Register JWT plugin untuk autentikasi user (editor/admin). Tanpa secret
+// sendiri token admin bisa dipalsukan, jadi JWT_SECRET wajib diisi.
+if (!process.env.JWT_SECRET) {
+  throw new Error("JWT_SECRET must be set to start the server");
+}
+
+fastify.register(fastifyJwt, {
+  secret: process.env.JWT_SECRET,
+  sign: { expiresIn: process.env.JWT_EXPIRES_IN || "1d" },
+});
+
+// Register multipart untuk unggahan media (satu file per request)
+fastify.register(fastifyMultipart, {
+  limits: {
+    fileSize: MEDIA.maxFileSize,
+    files: 1,
+    fields: 10,
+    fieldSize: MEDIA.maxFieldSize,
+  },
+});
+
 // HAPUS registrasi verifyAdmin di sini
 // Pindahkan ke middleware/index.js
 
@@ -65,6 +65,47 @@ export async function loadConfiguration() {
         level: process.env.LOG_LEVEL || "info",
         prettyPrint: process.env.PRETTY_LOG !== "false",
       },
+      // Penyimpanan gambar artikel. Driver dicari sesuai urutan
+      // STORAGE_DRIVERS ("local", "s3"), file pertama yang ditemukan dipakai
+      storage: {
+        drivers: parseList(process.env.STORAGE_DRIVERS, ["local"]),
+        // Detik sebelum lokasi file di indeks diperiksa ulang
+        indexTtl: parseInt(process.env.STORAGE_INDEX_TTL || "60", 10),
+        // Detik sebelum file yang tidak ditemukan dicari lagi
+        missTtl: parseInt(process.env.STORAGE_MISS_TTL || "30", 10),
+        local: {
+          roots: parseList(process.env.STORAGE_LOCAL_PATHS, [
+            path.join(
+              process.cwd(),
+              "cms",
+              "storage",
+              "app",
+              "public",
+              "article_images"
+            ),
+            path.join(
+              process.cwd(),
+              "storage",
+              "app",
+              "public",
+              "article_images"
+            ),
+            path.join(process.cwd(), "public", "storage", "article_images"),
+            path.join(process.cwd(), "article_images"),
+          ]),
+        },
+        // Layanan kompatibel S3 (AWS, MinIO, R2); endpoint kosong berarti AWS
+        s3: {
+          endpoint: process.env.S3_ENDPOINT || "",
+          region: process.env.S3_REGION || "us-east-1",
+          bucket: process.env.S3_BUCKET || "",
+          prefix: process.env.S3_PREFIX ?? "article_images/",
+          accessKeyId: process.env.S3_ACCESS_KEY_ID || "",
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+          // MinIO membutuhkan URL gaya path (endpoint/bucket/key)
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        },
+      },
       environment,
     };
 
@@ -104,6 +145,22 @@ function deepMerge(target, source) {
   return output;
 }
 
+/**
+ * Helper function untuk membaca daftar dipisah koma dari environment variable
+ * @param {string} value - Nilai environment variable
+ * @param {Array} fallback - Nilai default bila kosong
+ * @returns {Array} - Daftar nilai yang sudah di-trim
+ */
+function parseList(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
 /**
  * Helper function untuk memeriksa apakah sebuah value adalah objek
  * @param {any} item - Nilai yang diperiksa
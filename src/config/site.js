@@ -0,0 +1,33 @@
+// Identitas situs publik untuk URL absolut di feed, sitemap dan metadata SEO.
+// Dapat diubah lewat env:
+//   SITE_URL - alamat frontend, contoh https://berita.example.com
+//   API_URL - alamat publik backend ini (untuk /article_images); kosong berarti
+//     diambil dari host permintaan
+//   SITE_NAME, SITE_DESCRIPTION, SITE_LANGUAGE, SITE_LOCALE (Open Graph)
+//   SITE_LOGO_URL - logo penerbit untuk JSON-LD
+//   SITE_TWITTER - akun Twitter/X situs, contoh @portalberita
+//   SITE_ARTICLE_PATH, SITE_CATEGORY_PATH, SITE_TAG_PATH, SITE_AUTHOR_PATH -
+//     pola path halaman frontend, ":slug" diganti slug
+function trimTrailingSlash(url) {
+  return (url || "").replace(/\/+$/, "");
+}
+
+const SITE = {
+  url: trimTrailingSlash(process.env.SITE_URL) || "http://localhost:3000",
+  apiUrl: trimTrailingSlash(process.env.API_URL),
+  name: process.env.SITE_NAME || "Portal Berita",
+  description:
+    process.env.SITE_DESCRIPTION || "Berita terbaru dan terpercaya setiap hari",
+  language: process.env.SITE_LANGUAGE || "id",
+  locale: process.env.SITE_LOCALE || "id_ID",
+  logoUrl: process.env.SITE_LOGO_URL || "",
+  twitter: process.env.SITE_TWITTER || "",
+  paths: {
+    article: process.env.SITE_ARTICLE_PATH || "/:slug",
+    category: process.env.SITE_CATEGORY_PATH || "/kategori/:slug",
+    tag: process.env.SITE_TAG_PATH || "/tag/:slug",
+    author: process.env.SITE_AUTHOR_PATH || "/penulis/:slug",
+  },
+};
+
+export { SITE };
@@ -0,0 +1,31 @@
+// Konfigurasi sitemap (/sitemap.xml, /sitemaps/:name.xml, /news-sitemap.xml).
+// Dapat diubah lewat env:
+//   SITEMAP_PAGE_SIZE - jumlah URL per sitemap anak (maksimal 50.000)
+//   SITEMAP_REGENERATE_INTERVAL - detik antar pembuatan ulang terjadwal
+//   SITEMAP_REGENERATE_DELAY - detik jeda pembuatan ulang setelah artikel
+//     terbit/berubah (beberapa perubahan berdekatan digabung)
+//   SITEMAP_CACHE_TTL - lama cache di klien/CDN dalam detik
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+const SITEMAPS = {
+  pageSize: Math.min(
+    parsePositiveInt(process.env.SITEMAP_PAGE_SIZE, 5000),
+    50000
+  ),
+  regenerateInterval: parsePositiveInt(
+    process.env.SITEMAP_REGENERATE_INTERVAL,
+    900
+  ),
+  regenerateDelay: parsePositiveInt(process.env.SITEMAP_REGENERATE_DELAY, 15),
+  cacheTtl: parsePositiveInt(process.env.SITEMAP_CACHE_TTL, 300),
+  // Aturan Google News: hanya artikel 2 hari terakhir, maksimal 1.000 URL
+  news: {
+    hours: 48,
+    limit: 1000,
+  },
+};
+
+export { SITEMAPS };
@@ -0,0 +1,19 @@
+// Menambahkan status alur kerja redaksi pada artikel.
+// Artikel yang sudah ada sebelumnya dianggap sudah terbit.
+export async function up(knex) {
+  await knex.schema.alterTable("articles", (table) => {
+    table
+      .enu("status", ["draft", "review", "scheduled", "published", "archived"])
+      .notNullable()
+      .defaultTo("draft")
+      .index();
+  });
+
+  await knex("articles").update({ status: "published" });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable("articles", (table) => {
+    table.dropColumn("status");
+  });
+}
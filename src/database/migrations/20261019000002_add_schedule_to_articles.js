@@ -0,0 +1,14 @@
+// Menambahkan jadwal terbit dan jadwal berakhir pada artikel
+export async function up(knex) {
+  await knex.schema.alterTable("articles", (table) => {
+    table.dateTime("publish_at").nullable().index();
+    table.dateTime("unpublish_at").nullable().index();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable("articles", (table) => {
+    table.dropColumn("publish_at");
+    table.dropColumn("unpublish_at");
+  });
+}
@@ -0,0 +1,33 @@
+// Riwayat revisi artikel: setiap perubahan menyimpan snapshot konten
+export async function up(knex) {
+  await knex.schema.createTable("article_revisions", (table) => {
+    table.increments("id").primary();
+    table
+      .integer("article_id")
+      .unsigned()
+      .notNullable()
+      .references("id")
+      .inTable("articles")
+      .onDelete("CASCADE");
+    table.integer("revision_number").unsigned().notNullable();
+    table
+      .enu("action", ["baseline", "create", "update", "restore"])
+      .notNullable();
+    table.integer("restored_from_id").unsigned().nullable();
+    table.integer("user_id").unsigned().nullable();
+    table.json("changed_fields").nullable();
+    table.string("title", 255).notNullable();
+    table.string("slug", 255).notNullable();
+    table.text("description").nullable();
+    table.text("content", "longtext").nullable();
+    table.string("image_url", 255).nullable();
+    table.integer("category_id").unsigned().nullable();
+    table.dateTime("created_at").notNullable().defaultTo(knex.fn.now());
+
+    table.unique(["article_id", "revision_number"]);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("article_revisions");
+}
@@ -0,0 +1,34 @@
+// Tag artikel dan tabel pivot article_tags
+export async function up(knex) {
+  await knex.schema.createTable("tags", (table) => {
+    table.increments("id").primary();
+    table.string("name", 100).notNullable();
+    table.string("slug", 120).notNullable().unique();
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable("article_tags", (table) => {
+    table
+      .integer("article_id")
+      .unsigned()
+      .notNullable()
+      .references("id")
+      .inTable("articles")
+      .onDelete("CASCADE");
+    table
+      .integer("tag_id")
+      .unsigned()
+      .notNullable()
+      .references("id")
+      .inTable("tags")
+      .onDelete("CASCADE");
+
+    table.primary(["article_id", "tag_id"]);
+    table.index("tag_id");
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("article_tags");
+  await knex.schema.dropTableIfExists("tags");
+}
@@ -0,0 +1,39 @@
+// Profil penulis dan relasi penulis artikel (mendukung beberapa penulis)
+export async function up(knex) {
+  await knex.schema.createTable("authors", (table) => {
+    table.increments("id").primary();
+    table.integer("user_id").unsigned().nullable().unique();
+    table.string("display_name", 150).notNullable();
+    table.string("slug", 170).notNullable().unique();
+    table.text("bio").nullable();
+    table.string("avatar_url", 255).nullable();
+    table.json("social_links").nullable();
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable("article_authors", (table) => {
+    table
+      .integer("article_id")
+      .unsigned()
+      .notNullable()
+      .references("id")
+      .inTable("articles")
+      .onDelete("CASCADE");
+    table
+      .integer("author_id")
+      .unsigned()
+      .notNullable()
+      .references("id")
+      .inTable("authors")
+      .onDelete("CASCADE");
+    table.integer("position").unsigned().notNullable().defaultTo(0);
+
+    table.primary(["article_id", "author_id"]);
+    table.index("author_id");
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("article_authors");
+  await knex.schema.dropTableIfExists("authors");
+}
@@ -0,0 +1,20 @@
+// Kategori bertingkat: setiap kategori dapat memiliki induk
+export async function up(knex) {
+  await knex.schema.alterTable("categories", (table) => {
+    table
+      .integer("parent_id")
+      .unsigned()
+      .nullable()
+      .references("id")
+      .inTable("categories")
+      .onDelete("SET NULL")
+      .index();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable("categories", (table) => {
+    table.dropForeign("parent_id");
+    table.dropColumn("parent_id");
+  });
+}
@@ -0,0 +1,12 @@
+// Urutan tampil kategori yang dapat diatur admin
+export async function up(knex) {
+  await knex.schema.alterTable("categories", (table) => {
+    table.integer("display_order").notNullable().defaultTo(0).index();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable("categories", (table) => {
+    table.dropColumn("display_order");
+  });
+}
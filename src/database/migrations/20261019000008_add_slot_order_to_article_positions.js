@@ -0,0 +1,14 @@
+// Urutan slot eksplisit untuk penempatan artikel di halaman depan
+export async function up(knex) {
+  await knex.schema.alterTable("article_positions", (table) => {
+    table.integer("slot_order").unsigned().notNullable().defaultTo(0);
+    table.index(["position", "category_id", "slot_order"]);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable("article_positions", (table) => {
+    table.dropIndex(["position", "category_id", "slot_order"]);
+    table.dropColumn("slot_order");
+  });
+}
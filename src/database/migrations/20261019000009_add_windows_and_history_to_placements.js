@@ -0,0 +1,48 @@
+// Jendela tayang penempatan (starts_at/ends_at) dan riwayat penempatan
+export async function up(knex) {
+  await knex.schema.alterTable("article_positions", (table) => {
+    table.dateTime("starts_at").nullable();
+    table.dateTime("ends_at").nullable().index();
+  });
+
+  await knex.schema.createTable("article_position_history", (table) => {
+    table.increments("id").primary();
+    table.integer("placement_id").unsigned().notNullable().index();
+    table.integer("article_id").unsigned().notNullable();
+    table.integer("category_id").unsigned().notNullable();
+    table.string("position", 50).notNullable();
+    table.integer("slot_order").unsigned().notNullable().defaultTo(0);
+    table.dateTime("active_from").notNullable();
+    table.dateTime("active_until").nullable();
+    table.integer("placed_by").unsigned().nullable();
+    table.integer("removed_by").unsigned().nullable();
+    table.enu("removal_reason", ["removed", "expired", "changed"]).nullable();
+
+    table.index(["position", "category_id", "active_from", "active_until"]);
+  });
+
+  // Penempatan yang sudah tayang saat migrasi dicatat sebagai periode yang
+  // masih terbuka, agar getAt menampilkannya dan close() bisa menutupnya
+  const adaCreatedAt = await knex.schema.hasColumn(
+    "article_positions",
+    "created_at"
+  );
+  await knex.raw(
+    `INSERT INTO article_position_history
+      (placement_id, article_id, category_id, position, slot_order, active_from)
+    SELECT id, article_id, category_id, position, slot_order, ${
+      adaCreatedAt ? "COALESCE(created_at, ?)" : "?"
+    }
+    FROM article_positions
+    WHERE article_id IS NOT NULL AND category_id IS NOT NULL`,
+    [new Date()]
+  );
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("article_position_history");
+  await knex.schema.alterTable("article_positions", (table) => {
+    table.dropColumn("starts_at");
+    table.dropColumn("ends_at");
+  });
+}
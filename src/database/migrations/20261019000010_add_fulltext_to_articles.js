@@ -0,0 +1,17 @@
+// Indeks FULLTEXT untuk pencarian artikel. Indeks judul terpisah dibutuhkan
+// karena MATCH() harus memakai daftar kolom yang sama persis dengan indeksnya.
+export async function up(knex) {
+  await knex.schema.alterTable("articles", (table) => {
+    table.index(["title", "description", "content"], "ft_articles_search", {
+      indexType: "FULLTEXT",
+    });
+    table.index(["title"], "ft_articles_title", { indexType: "FULLTEXT" });
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable("articles", (table) => {
+    table.dropIndex(["title", "description", "content"], "ft_articles_search");
+    table.dropIndex(["title"], "ft_articles_title");
+  });
+}
@@ -0,0 +1,21 @@
+// Log pencarian untuk analitik (kata populer, tanpa hasil, tren)
+export async function up(knex) {
+  await knex.schema.createTable("search_queries", (table) => {
+    table.increments("id").primary();
+    table.uuid("search_id").notNullable().unique();
+    table.string("term", 255).notNullable();
+    table.string("endpoint", 30).notNullable();
+    table.integer("result_count").unsigned().notNullable().defaultTo(0);
+    table.integer("latency_ms").unsigned().notNullable().defaultTo(0);
+    table.integer("clicked_article_id").unsigned().nullable();
+    table.dateTime("clicked_at").nullable();
+    table.dateTime("created_at").notNullable();
+
+    table.index(["created_at", "term"]);
+    table.index(["term", "created_at"]);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("search_queries");
+}
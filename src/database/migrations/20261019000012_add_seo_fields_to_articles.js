@@ -0,0 +1,20 @@
+// Judul dan deskripsi SEO yang dapat diisi redaksi untuk menggantikan
+// judul/deskripsi artikel di meta tag. Ikut disimpan di revisi agar bisa
+// dibandingkan dan dikembalikan.
+export async function up(knex) {
+  for (const tableName of ["articles", "article_revisions"]) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.string("seo_title", 150).nullable();
+      table.string("seo_description", 320).nullable();
+    });
+  }
+}
+
+export async function down(knex) {
+  for (const tableName of ["articles", "article_revisions"]) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.dropColumn("seo_title");
+      table.dropColumn("seo_description");
+    });
+  }
+}
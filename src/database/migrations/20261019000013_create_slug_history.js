@@ -0,0 +1,18 @@
+// Riwayat slug lama artikel dan kategori. Slug lama diarahkan (301) ke slug
+// terbaru dan tidak boleh dipakai oleh artikel/kategori lain.
+export async function up(knex) {
+  await knex.schema.createTable("slug_history", (table) => {
+    table.increments("id").primary();
+    table.enu("entity_type", ["article", "category"]).notNullable();
+    table.integer("entity_id").unsigned().notNullable();
+    table.string("slug", 200).notNullable();
+    table.timestamp("retired_at").notNullable().defaultTo(knex.fn.now());
+
+    table.unique(["entity_type", "slug"]);
+    table.index(["entity_type", "entity_id"]);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("slug_history");
+}
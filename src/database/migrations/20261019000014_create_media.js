@@ -0,0 +1,26 @@
+// Pustaka media: gambar yang diunggah lewat /api/media. File disimpan dengan
+// nama dari hash isinya, sehingga unggahan yang sama tidak tersimpan dua kali.
+export async function up(knex) {
+  await knex.schema.createTable("media", (table) => {
+    table.increments("id").primary();
+    table.string("filename", 100).notNullable().unique();
+    table.string("original_name", 255).notNullable();
+    table.string("mime_type", 50).notNullable();
+    table.integer("size").unsigned().notNullable();
+    table.integer("width").unsigned().notNullable();
+    table.integer("height").unsigned().notNullable();
+    table.string("caption", 500).nullable();
+    table.string("credit", 255).nullable();
+    table.string("alt_text", 255).nullable();
+    table.integer("uploaded_by").unsigned().nullable();
+    table.dateTime("created_at").notNullable().defaultTo(knex.fn.now());
+    table.dateTime("updated_at").notNullable().defaultTo(knex.fn.now());
+
+    table.index(["created_at"]);
+    table.index(["mime_type", "created_at"]);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists("media");
+}
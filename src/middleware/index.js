@@ -2,6 +2,14 @@ import { requestLogger } from "./requestLogger.js";
 import { securityMiddleware } from "./security.js";
 import { verifyApiKey } from "./apiKeyAuth.js";
 import { wsAuthMiddleware } from "./wsAuth.js";
+import {
+  ROLES,
+  EDITORIAL_ROLES,
+  isEditorialUser,
+  verifyUser,
+  optionalUser,
+  requireRole,
+} from "./userAuth.js";
 
 // Hapus salah satu fungsi registerMiddleware
 // Gunakan fungsi yang kedua yang lebih lengkap
@@ -42,4 +50,14 @@ async function registerMiddleware(fastify) {
   fastify.log.info("Middleware registration completed");
 }
 
-export { registerMiddleware, verifyApiKey, wsAuthMiddleware };
+export {
+  registerMiddleware,
+  verifyApiKey,
+  wsAuthMiddleware,
+  ROLES,
+  EDITORIAL_ROLES,
+  isEditorialUser,
+  verifyUser,
+  optionalUser,
+  requireRole,
+};
@@ -0,0 +1,61 @@
+import { ROLES, EDITORIAL_ROLES } from "../config/roles.js";
+
+function isEditorialUser(user) {
+  return Boolean(user && EDITORIAL_ROLES.includes(user.role));
+}
+
+// User (JWT) authentication middleware
+async function verifyUser(request, reply) {
+  try {
+    await request.jwtVerify();
+
+    this.log.debug(
+      `User token verified: ID ${request.user.id}, role ${request.user.role}`
+    );
+  } catch (err) {
+    this.log.warn(`User token verification failed: ${err.message}`);
+    return reply
+      .code(401)
+      .send({ success: false, message: "Authentication required" });
+  }
+}
+
+// Optional user authentication: decodes the token when one is sent but
+// lets anonymous readers through
+async function optionalUser(request, reply) {
+  if (!request.headers.authorization) {
+    return;
+  }
+
+  try {
+    await request.jwtVerify();
+  } catch (err) {
+    this.log.debug(`Ignoring invalid user token: ${err.message}`);
+    request.user = null;
+  }
+}
+
+// Role guard, must run after verifyUser
+function requireRole(...roles) {
+  return async function (request, reply) {
+    if (!request.user || !roles.includes(request.user.role)) {
+      this.log.warn(
+        `Access denied for role "${request.user?.role}" (required: ${roles.join(
+          ", "
+        )})`
+      );
+      return reply
+        .code(403)
+        .send({ success: false, message: "Forbidden: insufficient role" });
+    }
+  };
+}
+
+export {
+  ROLES,
+  EDITORIAL_ROLES,
+  isEditorialUser,
+  verifyUser,
+  optionalUser,
+  requireRole,
+};
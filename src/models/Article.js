@@ -1,16 +1,113 @@
 import { db } from "../config/database.js";
+import { createHttpError } from "../utils/httpError.js";
+import { toSlug } from "../utils/slug.js";
+import { ROLES } from "../config/roles.js";
+import { ArticleRevision } from "./ArticleRevision.js";
+import { Tag } from "./Tag.js";
+import { Author } from "./Author.js";
+import { Category } from "./Category.js";
+import { PlacementHistory } from "./PlacementHistory.js";
+import { SlugHistory } from "./SlugHistory.js";
+import { articleEvents } from "../services/articleEvents.js";
+import { buildArticleSeo } from "../utils/seo.js";
+
+const STATUS = {
+  DRAFT: "draft",
+  REVIEW: "review",
+  SCHEDULED: "scheduled",
+  PUBLISHED: "published",
+  ARCHIVED: "archived",
+};
 
 const Article = {
   tableName: "articles",
 
+  // Columns that may be written through create/update
+  writableFields: [
+    "title",
+    "slug",
+    "description",
+    "content",
+    "image_url",
+    "category_id",
+    "date_published",
+    "publish_at",
+    "unpublish_at",
+    "seo_title",
+    "seo_description",
+  ],
+
+  // Editor overrides for meta tags; blank values fall back to title/description
+  seoFields: ["seo_title", "seo_description"],
+
+  // Writable columns received as ISO strings and stored as DATETIME
+  dateFields: ["date_published", "publish_at", "unpublish_at"],
+
+  statuses: STATUS,
+
+  // Editorial workflow: allowed next states for each state
+  transitions: {
+    [STATUS.DRAFT]: [STATUS.REVIEW, STATUS.ARCHIVED],
+    [STATUS.REVIEW]: [STATUS.DRAFT, STATUS.SCHEDULED, STATUS.PUBLISHED],
+    [STATUS.SCHEDULED]: [STATUS.DRAFT, STATUS.PUBLISHED],
+    [STATUS.PUBLISHED]: [STATUS.DRAFT, STATUS.ARCHIVED],
+    [STATUS.ARCHIVED]: [STATUS.DRAFT],
+  },
+
+  // Roles allowed to move an article into each target state
+  transitionRoles: {
+    [STATUS.DRAFT]: [ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER],
+    [STATUS.REVIEW]: [ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER],
+    [STATUS.SCHEDULED]: [ROLES.ADMIN, ROLES.EDITOR],
+    [STATUS.PUBLISHED]: [ROLES.ADMIN, ROLES.EDITOR],
+    [STATUS.ARCHIVED]: [ROLES.ADMIN, ROLES.EDITOR],
+  },
+
+  // Restrict a query to the given statuses; "all" disables the filter.
+  // Public callers get published articles only.
+  applyStatusFilter(query, status = STATUS.PUBLISHED, column = "status") {
+    if (status === "all") {
+      return query;
+    }
+
+    const statuses = Array.isArray(status) ? status : String(status).split(",");
+    return query.whereIn(column, statuses);
+  },
+
   async getAll(filters = {}) {
     try {
       const query = db(this.tableName)
         .select("articles.*", "categories.name as category_name")
         .join("categories", "articles.category_id", "categories.id");
 
+      this.applyStatusFilter(query, filters.status, "articles.status");
+
       if (filters.category_id) {
-        query.where("articles.category_id", filters.category_id);
+        // include_children=true also lists articles from subcategories
+        if (String(filters.include_children) === "true") {
+          query.whereIn(
+            "articles.category_id",
+            await Category.getDescendantIds(filters.category_id)
+          );
+        } else {
+          query.where("articles.category_id", filters.category_id);
+        }
+      }
+
+      // tags: comma separated tag slugs, matches articles having any of them
+      if (filters.tags) {
+        const tagSlugs = String(filters.tags)
+          .split(",")
+          .map((slug) => slug.trim())
+          .filter(Boolean);
+
+        query.whereIn(
+          "articles.id",
+          db("article_tags")
+            .select("article_tags.article_id")
+            .join("tags", "article_tags.tag_id", "tags.id")
+            .whereIn("tags.slug", tagSlugs)
+        );
       }
 
       if (filters.search) {
@@ -23,10 +120,12 @@ const Article = {
         });
       }
 
-      return query.orderBy(
+      const articles = await query.orderBy(
         filters.sort_by || "articles.created_at",
         filters.sort_order || "desc"
       );
+
+      return Author.attachToArticles(articles);
     } catch (err) {
       console.error(
         `Error fetching articles with filters ${JSON.stringify(filters)}: ${
@@ -39,29 +138,506 @@ const Article = {
 
   async findById(id) {
     try {
-      return db(this.tableName)
+      const article = await db(this.tableName)
         .select("articles.*", "categories.name as category_name")
         .join("categories", "articles.category_id", "categories.id")
         .where("articles.id", id)
         .first();
+
+      return this.withRelations(article);
     } catch (err) {
       console.error(`Error finding article by ID ${id}: ${err.message}`);
       throw err;
     }
   },
   //Gw cinta sama Fastify, tapi kok Amnjing yach
-  async findBySlug(slug) {
+  async findBySlug(slug, options = {}) {
     try {
-      return db(this.tableName)
+      const query = db(this.tableName)
         .select("articles.*", "categories.name as category_name")
         .join("categories", "articles.category_id", "categories.id")
-        .where("articles.slug", slug)
-        .first();
+        .where("articles.slug", slug);
+
+      if (!options.includeUnpublished) {
+        query.where("articles.status", STATUS.PUBLISHED);
+      }
+
+      const article = await this.withRelations(await query.first());
+
+      if (article) {
+        article.seo = buildArticleSeo(article, options.apiBaseUrl);
+      }
+
+      return article;
     } catch (err) {
       console.error(`Error finding article by slug ${slug}: ${err.message}`);
       throw err;
     }
   },
+
+  // Current slug of the article that used to be reachable under an old
+  // slug, for redirecting; null when the slug was never retired
+  async findRedirect(slug, options = {}) {
+    try {
+      const query = db(this.tableName)
+        .select("articles.slug")
+        .join("slug_history", "slug_history.entity_id", "articles.id")
+        .where({
+          "slug_history.entity_type": SlugHistory.entities.ARTICLE,
+          "slug_history.slug": slug,
+        });
+
+      if (!options.includeUnpublished) {
+        query.where("articles.status", STATUS.PUBLISHED);
+      }
+
+      const article = await query.first();
+      return article ? article.slug : null;
+    } catch (err) {
+      console.error(`Error resolving old article slug ${slug}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Embed related records into a single article payload
+  async withRelations(article) {
+    if (!article) {
+      return article;
+    }
+
+    article.tags = await Tag.getByArticle(article.id);
+    article.authors = await Author.getByArticle(article.id);
+    article.breadcrumbs = await Category.getBreadcrumbs(article.category_id);
+    return article;
+  },
+
+  toSlug(text) {
+    return toSlug(text);
+  },
+
+  // Old slugs stay reserved for the article that had them
+  async slugExists(slug, excludeId = null) {
+    return Boolean(await this.slugConflict(slug, excludeId));
+  },
+
+  // Why a slug is unavailable: "used" by a current article, "retired" by
+  // another article's history, or null when it is free
+  async slugConflict(slug, excludeId = null) {
+    const query = db(this.tableName).select("id").where({ slug });
+
+    if (excludeId) {
+      query.whereNot("id", excludeId);
+    }
+
+    if (await query.first()) {
+      return "used";
+    }
+
+    const owner = await SlugHistory.findOwner(
+      SlugHistory.entities.ARTICLE,
+      slug
+    );
+    return owner && Number(owner) !== Number(excludeId) ? "retired" : null;
+  },
+
+  async assertSlugAvailable(slug, excludeId = null) {
+    const conflict = await this.slugConflict(slug, excludeId);
+
+    if (conflict === "used") {
+      throw createHttpError(409, `Slug "${slug}" is already used`);
+    }
+    if (conflict === "retired") {
+      throw createHttpError(
+        409,
+        `Slug "${slug}" was previously used by another article and still redirects to it`
+      );
+    }
+  },
+
+  // Generate a slug from the title, appending -2, -3, ... until it is free
+  async generateUniqueSlug(title, excludeId = null) {
+    const base = this.toSlug(title) || "artikel";
+    let slug = base;
+    let suffix = 2;
+
+    while (await this.slugExists(slug, excludeId)) {
+      slug = `${base}-${suffix}`;
+      suffix++;
+    }
+
+    return slug;
+  },
+
+  async assertCategoryExists(categoryId) {
+    const category = await db("categories")
+      .select("id")
+      .where("id", categoryId)
+      .first();
+
+    if (!category) {
+      throw createHttpError(422, `Category ${categoryId} does not exist`);
+    }
+  },
+
+  pickWritable(data) {
+    const values = Object.fromEntries(
+      Object.entries(data).filter(
+        ([key, value]) =>
+          this.writableFields.includes(key) && value !== undefined
+      )
+    );
+
+    for (const field of this.dateFields) {
+      if (values[field]) {
+        values[field] = new Date(values[field]);
+      }
+    }
+
+    for (const field of this.seoFields) {
+      if (typeof values[field] === "string") {
+        values[field] = values[field].trim() || null;
+      }
+    }
+
+    return values;
+  },
+
+  assertScheduleWindow(publishAt, unpublishAt) {
+    if (publishAt && unpublishAt && new Date(unpublishAt) <= publishAt) {
+      throw createHttpError(422, "unpublish_at must be later than publish_at");
+    }
+  },
+
+  async create(data, user = null) {
+    try {
+      const values = this.pickWritable(data);
+
+      await this.assertCategoryExists(values.category_id);
+      this.assertScheduleWindow(values.publish_at, values.unpublish_at);
+
+      if (values.slug) {
+        values.slug = this.toSlug(values.slug);
+        await this.assertSlugAvailable(values.slug);
+      } else {
+        values.slug = await this.generateUniqueSlug(values.title);
+      }
+
+      const defaultAuthor =
+        !Array.isArray(data.author_ids) && user
+          ? await Author.findByUserId(user.id)
+          : null;
+
+      const now = new Date();
+      const id = await db.transaction(async (trx) => {
+        const [insertedId] = await trx(this.tableName).insert({
+          ...values,
+          status: STATUS.DRAFT,
+          date_published: values.date_published || now,
+          created_at: now,
+          updated_at: now,
+        });
+
+        if (Array.isArray(data.tags)) {
+          await Tag.syncArticle(insertedId, data.tags, trx);
+        }
+
+        // Default byline: the author profile of the creating user
+        const authorIds = Array.isArray(data.author_ids)
+          ? data.author_ids
+          : defaultAuthor
+          ? [defaultAuthor.id]
+          : [];
+        await Author.syncArticle(insertedId, authorIds, trx);
+
+        await ArticleRevision.record(
+          { ...values, id: insertedId },
+          {
+            action: "create",
+            userId: user?.id,
+            changedFields: ArticleRevision.changedFields({}, values),
+          },
+          trx
+        );
+
+        return insertedId;
+      });
+
+      articleEvents.emit("changed", id);
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error creating article: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // options.action / options.restoredFromId describe the revision written
+  // for this change (defaults to a plain "update")
+  async update(id, data, user = null, options = {}) {
+    try {
+      const existing = await db(this.tableName).where({ id }).first();
+
+      if (!existing) {
+        return null;
+      }
+
+      const values = this.pickWritable(data);
+
+      if (values.category_id !== undefined) {
+        await this.assertCategoryExists(values.category_id);
+      }
+
+      if (values.slug !== undefined) {
+        values.slug = this.toSlug(values.slug);
+
+        if (!values.slug) {
+          throw createHttpError(400, "Slug cannot be empty");
+        }
+
+        await this.assertSlugAvailable(values.slug, id);
+      }
+
+      this.assertScheduleWindow(
+        values.publish_at !== undefined
+          ? values.publish_at
+          : existing.publish_at,
+        values.unpublish_at !== undefined
+          ? values.unpublish_at
+          : existing.unpublish_at
+      );
+
+      await db.transaction(async (trx) => {
+        // Articles written by the CMS have no history yet; keep their
+        // pre-edit state so the first change can be diffed and undone
+        if (!(await ArticleRevision.hasRevisions(id, trx))) {
+          await ArticleRevision.record(existing, { action: "baseline" }, trx);
+        }
+
+        await trx(this.tableName)
+          .where({ id })
+          .update({ ...values, updated_at: new Date() });
+
+        // The previous slug keeps redirecting to this article
+        if (values.slug !== undefined && values.slug !== existing.slug) {
+          await SlugHistory.recordChange(
+            SlugHistory.entities.ARTICLE,
+            id,
+            existing.slug,
+            values.slug,
+            trx
+          );
+        }
+
+        if (Array.isArray(data.tags)) {
+          await Tag.syncArticle(id, data.tags, trx);
+        }
+
+        if (Array.isArray(data.author_ids)) {
+          await Author.syncArticle(id, data.author_ids, trx);
+        }
+
+        const changedFields = ArticleRevision.changedFields(existing, values);
+        if (changedFields.length > 0) {
+          await ArticleRevision.record(
+            { ...existing, ...values },
+            {
+              action: options.action || "update",
+              restoredFromId: options.restoredFromId,
+              userId: user?.id,
+              changedFields,
+            },
+            trx
+          );
+        }
+      });
+
+      articleEvents.emit("changed", Number(id));
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error updating article ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Bring back the content of an earlier revision. History is kept intact:
+  // the restore itself is recorded as a new revision.
+  async restoreRevision(id, revisionId, user = null) {
+    try {
+      const revision = await ArticleRevision.findById(id, revisionId);
+
+      if (!revision) {
+        return null;
+      }
+
+      const snapshot = Object.fromEntries(
+        ArticleRevision.snapshotFields.map((field) => [field, revision[field]])
+      );
+
+      return this.update(id, snapshot, user, {
+        action: "restore",
+        restoredFromId: revision.id,
+      });
+    } catch (err) {
+      console.error(
+        `Error restoring revision ${revisionId} of article ID ${id}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  canTransition(from, to, role) {
+    return (
+      (this.transitions[from] || []).includes(to) &&
+      (this.transitionRoles[to] || []).includes(role)
+    );
+  },
+
+  // Move an article through the editorial workflow on behalf of a user.
+  // Scheduling needs a future publish_at, either stored or in options.
+  async transition(id, toStatus, user, options = {}) {
+    try {
+      const article = await db(this.tableName).where({ id }).first();
+
+      if (!article) {
+        return null;
+      }
+
+      if (!(this.transitions[article.status] || []).includes(toStatus)) {
+        throw createHttpError(
+          409,
+          `Cannot move article from "${article.status}" to "${toStatus}"`
+        );
+      }
+
+      if (!this.canTransition(article.status, toStatus, user.role)) {
+        throw createHttpError(
+          403,
+          `Role "${user.role}" may not move articles to "${toStatus}"`
+        );
+      }
+
+      const now = new Date();
+      const changes = { status: toStatus, updated_at: now };
+
+      if (toStatus === STATUS.SCHEDULED) {
+        const publishAt = options.publish_at
+          ? new Date(options.publish_at)
+          : article.publish_at;
+
+        if (!publishAt || new Date(publishAt) <= now) {
+          throw createHttpError(
+            422,
+            "Scheduling requires a publish_at in the future"
+          );
+        }
+
+        this.assertScheduleWindow(new Date(publishAt), article.unpublish_at);
+        changes.publish_at = publishAt;
+      }
+
+      if (toStatus === STATUS.PUBLISHED) {
+        changes.date_published = now;
+      }
+
+      await db(this.tableName).where({ id }).update(changes);
+
+      articleEvents.emit("changed", Number(id));
+      return this.findById(id);
+    } catch (err) {
+      console.error(
+        `Error moving article ID ${id} to ${toStatus}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Publish scheduled articles whose publish_at has passed.
+  // Returns the articles that were actually flipped.
+  async publishDue(now = new Date()) {
+    try {
+      const due = await db(this.tableName)
+        .select("id", "title", "slug", "category_id", "publish_at")
+        .where("status", STATUS.SCHEDULED)
+        .where("publish_at", "<=", now);
+
+      const published = [];
+      for (const article of due) {
+        // Guard on status so a concurrent editor change wins
+        const updated = await db(this.tableName)
+          .where({ id: article.id, status: STATUS.SCHEDULED })
+          .update({
+            status: STATUS.PUBLISHED,
+            date_published: article.publish_at,
+            updated_at: now,
+          });
+
+        if (updated) {
+          published.push(article);
+          articleEvents.emit("changed", article.id);
+        }
+      }
+
+      return published;
+    } catch (err) {
+      console.error(`Error publishing scheduled articles: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Archive published articles whose unpublish_at has passed
+  async expireDue(now = new Date()) {
+    try {
+      const due = await db(this.tableName)
+        .select("id", "title", "slug", "category_id", "unpublish_at")
+        .where("status", STATUS.PUBLISHED)
+        .whereNotNull("unpublish_at")
+        .where("unpublish_at", "<=", now);
+
+      const expired = [];
+      for (const article of due) {
+        const updated = await db(this.tableName)
+          .where({ id: article.id, status: STATUS.PUBLISHED })
+          .update({ status: STATUS.ARCHIVED, updated_at: now });
+
+        if (updated) {
+          expired.push(article);
+          articleEvents.emit("changed", article.id);
+        }
+      }
+
+      return expired;
+    } catch (err) {
+      console.error(`Error expiring published articles: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async remove(id) {
+    try {
+      const deleted = await db.transaction(async (trx) => {
+        const placements = await trx("article_positions")
+          .select("id")
+          .where({ article_id: id });
+
+        for (const placement of placements) {
+          await PlacementHistory.close(placement.id, "removed", {}, trx);
+        }
+
+        await trx("article_positions").where({ article_id: id }).delete();
+        await SlugHistory.removeFor(SlugHistory.entities.ARTICLE, id, trx);
+        const count = await trx(this.tableName).where({ id }).delete();
+        return count > 0;
+      });
+
+      if (deleted) {
+        articleEvents.emit("removed", Number(id));
+      }
+
+      return deleted;
+    } catch (err) {
+      console.error(`Error deleting article ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
 };
 
 export { Article };
@@ -1,9 +1,29 @@
 import { db } from "../config/database.js";
+import { Article } from "./Article.js";
+import { PlacementHistory } from "./PlacementHistory.js";
+import { POSITIONS, isValidPosition } from "../config/positions.js";
+import { createHttpError } from "../utils/httpError.js";
 
 const ArticlePosition = {
   tableName: "article_positions",
 
-  async getPositionsByCategory(categoryId) {
+  // Restrict a query to placements whose starts_at/ends_at window
+  // contains the given moment. Open bounds mean "always".
+  applyActiveWindow(query, at = new Date()) {
+    return query
+      .where((builder) =>
+        builder
+          .whereNull("article_positions.starts_at")
+          .orWhere("article_positions.starts_at", "<=", at)
+      )
+      .where((builder) =>
+        builder
+          .whereNull("article_positions.ends_at")
+          .orWhere("article_positions.ends_at", ">", at)
+      );
+  },
+
+  async getPositionsByCategory(categoryId, options = {}) {
     try {
       return db(this.tableName)
         .select(
@@ -14,7 +34,18 @@ const ArticlePosition = {
           "articles.description"
         )
         .join("articles", "article_positions.article_id", "articles.id")
-        .where("article_positions.category_id", categoryId);
+        .where("article_positions.category_id", categoryId)
+        .modify((query) => {
+          if (!options.includeUnpublished) {
+            query.where("articles.status", Article.statuses.PUBLISHED);
+          }
+
+          if (!options.includeInactive) {
+            this.applyActiveWindow(query);
+          }
+        })
+        .orderBy("article_positions.position")
+        .orderBy("article_positions.slot_order");
     } catch (err) {
       console.error(
         `Error getting positions for category ID ${categoryId}: ${err.message}`
@@ -23,7 +54,7 @@ const ArticlePosition = {
     }
   },
 
-  async getByPosition(position) {
+  async getByPosition(position, options = {}) {
     try {
       return db(this.tableName)
         .select(
@@ -37,7 +68,21 @@ const ArticlePosition = {
         )
         .join("articles", "article_positions.article_id", "articles.id")
         .join("categories", "article_positions.category_id", "categories.id")
-        .where("article_positions.position", position);
+        .where("article_positions.position", position)
+        .modify((query) => {
+          if (options.categoryId) {
+            query.where("article_positions.category_id", options.categoryId);
+          }
+
+          if (!options.includeUnpublished) {
+            query.where("articles.status", Article.statuses.PUBLISHED);
+          }
+
+          if (!options.includeInactive) {
+            this.applyActiveWindow(query);
+          }
+        })
+        .orderBy("article_positions.slot_order");
     } catch (err) {
       console.error(
         `Error getting articles by position ${position}: ${err.message}`
@@ -45,6 +90,431 @@ const ArticlePosition = {
       throw err;
     }
   },
+
+  async findById(id) {
+    try {
+      return db(this.tableName).where({ id }).first();
+    } catch (err) {
+      console.error(`Error finding placement by ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Position registry with the current number of placements per category
+  async getRegistry() {
+    try {
+      const counts = await db(this.tableName)
+        .select("position", "category_id")
+        .count("* as total")
+        .groupBy("position", "category_id");
+
+      return Object.entries(POSITIONS).map(([name, config]) => ({
+        name,
+        ...config,
+        usage: counts
+          .filter((row) => row.position === name)
+          .map((row) => ({
+            category_id: row.category_id,
+            total: Number(row.total),
+          })),
+      }));
+    } catch (err) {
+      console.error(`Error building position registry: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Placements share a slot sequence and a capacity per position+category
+  scope(conn, position, categoryId) {
+    return conn(this.tableName).where({
+      position,
+      category_id: categoryId,
+    });
+  },
+
+  // Serialize placement writes per category. The capacity and duplicate
+  // checks read the scope before inserting, so two concurrent requests
+  // could otherwise both pass them. Rows are locked in id order so moves
+  // between two categories cannot deadlock.
+  async lockCategories(conn, ...categoryIds) {
+    const ids = [...new Set(categoryIds.map(Number))].sort((a, b) => a - b);
+
+    await conn("categories")
+      .select("id")
+      .whereIn("id", ids)
+      .orderBy("id")
+      .forUpdate();
+  },
+
+  async assertPlaceable(articleId, categoryId, position) {
+    if (!isValidPosition(position)) {
+      throw createHttpError(
+        422,
+        `Unknown position "${position}". Valid positions: ${Object.keys(
+          POSITIONS
+        ).join(", ")}`
+      );
+    }
+
+    const [article, category] = await Promise.all([
+      db("articles").select("id", "status").where("id", articleId).first(),
+      db("categories").select("id").where("id", categoryId).first(),
+    ]);
+
+    if (!article) {
+      throw createHttpError(422, `Article ${articleId} does not exist`);
+    }
+
+    if (article.status !== Article.statuses.PUBLISHED) {
+      throw createHttpError(
+        422,
+        `Article ${articleId} is not published and cannot be placed`
+      );
+    }
+
+    if (!category) {
+      throw createHttpError(422, `Category ${categoryId} does not exist`);
+    }
+  },
+
+  assertWindow(startsAt, endsAt) {
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      throw createHttpError(422, "ends_at must be later than starts_at");
+    }
+
+    if (endsAt && new Date(endsAt) <= new Date()) {
+      throw createHttpError(422, "ends_at must be in the future");
+    }
+  },
+
+  // Capacity applies to placements whose windows overlap the new one,
+  // so the next headline can be scheduled while the current one runs
+  async assertCapacity(conn, position, categoryId, window = {}, excludeId) {
+    const { capacity } = POSITIONS[position];
+    const startsAt = window.starts_at ? new Date(window.starts_at) : new Date();
+    const endsAt = window.ends_at ? new Date(window.ends_at) : null;
+    const used = await this.scope(conn, position, categoryId)
+      .modify((query) => {
+        if (excludeId) {
+          query.whereNot("id", excludeId);
+        }
+
+        if (endsAt) {
+          query.where((builder) =>
+            builder.whereNull("starts_at").orWhere("starts_at", "<", endsAt)
+          );
+        }
+      })
+      .where((builder) =>
+        builder.whereNull("ends_at").orWhere("ends_at", ">", startsAt)
+      )
+      .count("* as total")
+      .first();
+
+    if (Number(used.total) >= capacity) {
+      throw createHttpError(
+        409,
+        `Position "${position}" is full (capacity ${capacity})`
+      );
+    }
+  },
+
+  async assertNotPlaced(conn, articleId, position, categoryId, excludeId) {
+    const duplicate = await this.scope(conn, position, categoryId)
+      .where("article_id", articleId)
+      .modify((query) => {
+        if (excludeId) {
+          query.whereNot("id", excludeId);
+        }
+      })
+      .first();
+
+    if (duplicate) {
+      throw createHttpError(
+        409,
+        `Article ${articleId} is already placed in "${position}"`
+      );
+    }
+  },
+
+  // Insert a placement. Without slot_order it is appended at the end,
+  // otherwise the following slots are shifted down.
+  async create(data, user = null) {
+    const { article_id, category_id, position } = data;
+    const window = {
+      starts_at: data.starts_at ? new Date(data.starts_at) : null,
+      ends_at: data.ends_at ? new Date(data.ends_at) : null,
+    };
+
+    try {
+      this.assertWindow(window.starts_at, window.ends_at);
+      await this.assertPlaceable(article_id, category_id, position);
+
+      const id = await db.transaction(async (trx) => {
+        await this.lockCategories(trx, category_id);
+        await this.assertNotPlaced(trx, article_id, position, category_id);
+        await this.assertCapacity(trx, position, category_id, window);
+
+        const last = await this.scope(trx, position, category_id)
+          .max("slot_order as max")
+          .first();
+        const nextSlot = (last?.max ?? -1) + 1;
+        const slot =
+          data.slot_order === undefined
+            ? nextSlot
+            : Math.min(data.slot_order, nextSlot);
+
+        await this.scope(trx, position, category_id)
+          .where("slot_order", ">=", slot)
+          .increment("slot_order", 1);
+
+        const placement = {
+          article_id,
+          category_id,
+          position,
+          slot_order: slot,
+          ...window,
+        };
+        const [insertedId] = await trx(this.tableName).insert(placement);
+        await PlacementHistory.open(
+          { id: insertedId, ...placement },
+          user?.id,
+          trx
+        );
+
+        return insertedId;
+      });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error creating placement: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Move a placement to another article, position, category or slot
+  async update(id, data, user = null) {
+    try {
+      const existing = await this.findById(id);
+
+      if (!existing) {
+        return null;
+      }
+
+      const next = {
+        article_id: data.article_id ?? existing.article_id,
+        category_id: data.category_id ?? existing.category_id,
+        position: data.position ?? existing.position,
+        starts_at:
+          data.starts_at === undefined
+            ? existing.starts_at
+            : data.starts_at && new Date(data.starts_at),
+        ends_at:
+          data.ends_at === undefined
+            ? existing.ends_at
+            : data.ends_at && new Date(data.ends_at),
+      };
+      const movedScope =
+        next.position !== existing.position ||
+        Number(next.category_id) !== Number(existing.category_id);
+      const windowChanged =
+        data.starts_at !== undefined || data.ends_at !== undefined;
+
+      if (windowChanged) {
+        this.assertWindow(next.starts_at, next.ends_at);
+      }
+
+      await this.assertPlaceable(
+        next.article_id,
+        next.category_id,
+        next.position
+      );
+
+      await db.transaction(async (trx) => {
+        await this.lockCategories(trx, existing.category_id, next.category_id);
+        await this.assertNotPlaced(
+          trx,
+          next.article_id,
+          next.position,
+          next.category_id,
+          id
+        );
+
+        if (movedScope || windowChanged) {
+          await this.assertCapacity(
+            trx,
+            next.position,
+            next.category_id,
+            next,
+            id
+          );
+        }
+
+        await trx(this.tableName).where({ id }).update(next);
+        await PlacementHistory.close(id, "changed", { userId: user?.id }, trx);
+        await PlacementHistory.open({ ...existing, ...next }, user?.id, trx);
+
+        if (movedScope) {
+          await this.compact(
+            trx,
+            existing.position,
+            existing.category_id,
+            user
+          );
+        }
+      });
+
+      if (data.slot_order !== undefined || movedScope) {
+        const ids = (
+          await this.scope(db, next.position, next.category_id)
+            .select("id")
+            .whereNot("id", id)
+            .orderBy("slot_order")
+        ).map((row) => row.id);
+        const slot = Math.min(data.slot_order ?? ids.length, ids.length);
+        ids.splice(slot, 0, id);
+        await this.reorder(next.position, next.category_id, ids, user);
+      }
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error updating placement ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Give a placement a new slot, starting a new history period so the
+  // history shows which slot it held at any moment
+  async moveSlot(conn, placement, slot, user = null) {
+    if (placement.slot_order === slot) {
+      return;
+    }
+
+    await conn(this.tableName)
+      .where("id", placement.id)
+      .update({ slot_order: slot });
+    await PlacementHistory.close(
+      placement.id,
+      "changed",
+      { userId: user?.id },
+      conn
+    );
+    await PlacementHistory.open(
+      { ...placement, slot_order: slot },
+      user?.id,
+      conn
+    );
+  },
+
+  // Renumber slots 0..n-1 after a placement leaves a scope
+  async compact(conn, position, categoryId, user = null) {
+    const rows = await this.scope(conn, position, categoryId).orderBy(
+      "slot_order"
+    );
+
+    for (const [index, row] of rows.entries()) {
+      await this.moveSlot(conn, row, index, user);
+    }
+  },
+
+  // Set slot order from the position of each placement ID in the list
+  async reorder(position, categoryId, ids, user = null) {
+    try {
+      const current = await this.scope(db, position, categoryId);
+      const currentById = new Map(current.map((row) => [row.id, row]));
+      const currentIds = new Set(currentById.keys());
+
+      if (
+        ids.length !== currentIds.size ||
+        !ids.every((id) => currentIds.has(Number(id)))
+      ) {
+        throw createHttpError(
+          422,
+          "Order must list every placement of this position exactly once"
+        );
+      }
+
+      await db.transaction(async (trx) => {
+        for (const [index, id] of ids.entries()) {
+          await this.moveSlot(trx, currentById.get(Number(id)), index, user);
+        }
+      });
+
+      return this.getByPosition(position, {
+        categoryId,
+        includeUnpublished: true,
+        includeInactive: true,
+      });
+    } catch (err) {
+      console.error(
+        `Error reordering placements for ${position}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  async remove(id, user = null) {
+    try {
+      const existing = await this.findById(id);
+
+      if (!existing) {
+        return false;
+      }
+
+      await db.transaction(async (trx) => {
+        await trx(this.tableName).where({ id }).delete();
+        await PlacementHistory.close(id, "removed", { userId: user?.id }, trx);
+        await this.compact(trx, existing.position, existing.category_id, user);
+      });
+
+      return true;
+    } catch (err) {
+      console.error(`Error deleting placement ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Delete placements whose ends_at has passed. History keeps ends_at as
+  // the end of the period, not the moment the job happened to run.
+  async retireExpired(now = new Date()) {
+    try {
+      const expired = await db(this.tableName)
+        .whereNotNull("ends_at")
+        .where("ends_at", "<=", now);
+      const retired = [];
+
+      for (const placement of expired) {
+        const deleted = await db.transaction(async (trx) => {
+          const count = await trx(this.tableName)
+            .where({ id: placement.id })
+            .where("ends_at", "<=", now)
+            .delete();
+
+          if (!count) {
+            return false;
+          }
+
+          await PlacementHistory.close(
+            placement.id,
+            "expired",
+            { at: placement.ends_at },
+            trx
+          );
+          await this.compact(trx, placement.position, placement.category_id);
+          return true;
+        });
+
+        if (deleted) {
+          retired.push(placement);
+        }
+      }
+
+      return retired;
+    } catch (err) {
+      console.error(`Error retiring expired placements: ${err.message}`);
+      throw err;
+    }
+  },
 };
 
 export { ArticlePosition };
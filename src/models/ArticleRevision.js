@@ -0,0 +1,139 @@
+import { db } from "../config/database.js";
+import { diffWords } from "../utils/textDiff.js";
+
+const ArticleRevision = {
+  tableName: "article_revisions",
+
+  // Article columns captured in every revision snapshot
+  snapshotFields: [
+    "title",
+    "slug",
+    "description",
+    "content",
+    "image_url",
+    "category_id",
+    "seo_title",
+    "seo_description",
+  ],
+
+  // Snapshot fields that also get a word-level diff
+  textFields: ["title", "description", "content"],
+
+  // Fields whose value differs between two article states
+  changedFields(before, after) {
+    return this.snapshotFields.filter(
+      (field) =>
+        after[field] !== undefined &&
+        String(before[field] ?? "") !== String(after[field] ?? "")
+    );
+  },
+
+  // Store a snapshot of the article's current state.
+  // Pass a transaction as trx to write inside the caller's transaction.
+  async record(article, options = {}, trx = null) {
+    const conn = trx || db;
+
+    try {
+      const last = await conn(this.tableName)
+        .where("article_id", article.id)
+        .max("revision_number as number")
+        .first();
+
+      const snapshot = Object.fromEntries(
+        this.snapshotFields.map((field) => [field, article[field] ?? null])
+      );
+
+      const [id] = await conn(this.tableName).insert({
+        ...snapshot,
+        article_id: article.id,
+        revision_number: (last?.number || 0) + 1,
+        action: options.action || "update",
+        restored_from_id: options.restoredFromId || null,
+        user_id: options.userId || null,
+        changed_fields: JSON.stringify(options.changedFields || []),
+        created_at: new Date(),
+      });
+
+      return id;
+    } catch (err) {
+      console.error(
+        `Error recording revision for article ID ${article.id}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  async hasRevisions(articleId, trx = null) {
+    const conn = trx || db;
+    const row = await conn(this.tableName)
+      .select("id")
+      .where("article_id", articleId)
+      .first();
+    return Boolean(row);
+  },
+
+  async listByArticle(articleId) {
+    try {
+      return db(this.tableName)
+        .select(
+          "article_revisions.id",
+          "article_revisions.revision_number",
+          "article_revisions.action",
+          "article_revisions.restored_from_id",
+          "article_revisions.changed_fields",
+          "article_revisions.user_id",
+          "users.name as user_name",
+          "article_revisions.created_at"
+        )
+        .leftJoin("users", "article_revisions.user_id", "users.id")
+        .where("article_revisions.article_id", articleId)
+        .orderBy("article_revisions.revision_number", "desc");
+    } catch (err) {
+      console.error(
+        `Error listing revisions for article ID ${articleId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  async findById(articleId, revisionId) {
+    try {
+      return db(this.tableName)
+        .select("article_revisions.*", "users.name as user_name")
+        .leftJoin("users", "article_revisions.user_id", "users.id")
+        .where({
+          "article_revisions.id": revisionId,
+          "article_revisions.article_id": articleId,
+        })
+        .first();
+    } catch (err) {
+      console.error(`Error finding revision ID ${revisionId}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Field-level diff between two revisions, with word-level detail for
+  // text fields. Texts too long or too different for a word diff are
+  // marked as replaced instead.
+  diff(from, to) {
+    return this.snapshotFields.map((field) => {
+      const before = from[field] ?? null;
+      const after = to[field] ?? null;
+      const changed = String(before ?? "") !== String(after ?? "");
+      const entry = { field, changed, before, after };
+
+      if (changed && this.textFields.includes(field)) {
+        const words = diffWords(before, after);
+        if (words) {
+          entry.words = words;
+        } else {
+          entry.replaced = true;
+        }
+      }
+
+      return entry;
+    });
+  },
+};
+
+export { ArticleRevision };
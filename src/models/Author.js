@@ -0,0 +1,327 @@
+import { db } from "../config/database.js";
+import { toSlug } from "../utils/slug.js";
+import { createHttpError } from "../utils/httpError.js";
+
+const Author = {
+  tableName: "authors",
+  pivotTable: "article_authors",
+
+  // Public byline columns embedded into article payloads
+  bylineColumns: [
+    "authors.id",
+    "authors.display_name",
+    "authors.slug",
+    "authors.avatar_url",
+  ],
+
+  writableFields: ["user_id", "display_name", "bio", "avatar_url"],
+
+  async getAll() {
+    try {
+      return db(this.tableName)
+        .select(
+          "id",
+          "display_name",
+          "slug",
+          "bio",
+          "avatar_url",
+          "social_links"
+        )
+        .orderBy("display_name");
+    } catch (err) {
+      console.error(`Error fetching all authors: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async findById(id) {
+    try {
+      return db(this.tableName).where({ id }).first();
+    } catch (err) {
+      console.error(`Error finding author by ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async findBySlug(slug) {
+    try {
+      return db(this.tableName).where({ slug }).first();
+    } catch (err) {
+      console.error(`Error finding author by slug ${slug}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async findByUserId(userId) {
+    try {
+      return db(this.tableName).where({ user_id: userId }).first();
+    } catch (err) {
+      console.error(
+        `Error finding author for user ID ${userId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  async slugExists(slug, excludeId = null) {
+    const query = db(this.tableName).select("id").where({ slug });
+
+    if (excludeId) {
+      query.whereNot("id", excludeId);
+    }
+
+    return Boolean(await query.first());
+  },
+
+  // An explicitly requested slug is used as is or rejected; only slugs
+  // derived from the name get a numeric suffix
+  async assertSlugAvailable(slug, excludeId = null) {
+    if (await this.slugExists(slug, excludeId)) {
+      throw createHttpError(409, `Slug "${slug}" is already used`);
+    }
+  },
+
+  async generateUniqueSlug(name, excludeId = null) {
+    const base = toSlug(name, 160) || "penulis";
+    let slug = base;
+    let suffix = 2;
+
+    while (await this.slugExists(slug, excludeId)) {
+      slug = `${base}-${suffix}`;
+      suffix++;
+    }
+
+    return slug;
+  },
+
+  pickWritable(data) {
+    const values = Object.fromEntries(
+      Object.entries(data).filter(
+        ([key, value]) =>
+          this.writableFields.includes(key) && value !== undefined
+      )
+    );
+
+    if (data.social_links !== undefined) {
+      values.social_links = JSON.stringify(data.social_links || {});
+    }
+
+    return values;
+  },
+
+  // A user can have only one author profile and slugs are unique; a
+  // violation (also from concurrent requests) is a conflict, not a failure
+  duplicateError(err, data) {
+    if (err.code !== "ER_DUP_ENTRY") {
+      return err;
+    }
+
+    if (/user_id/.test(err.sqlMessage || err.message)) {
+      return createHttpError(
+        409,
+        `User ${data.user_id} already has an author profile`
+      );
+    }
+
+    return createHttpError(409, "Author slug is already in use");
+  },
+
+  async create(data) {
+    try {
+      const values = this.pickWritable(data);
+      const now = new Date();
+
+      if (data.slug) {
+        values.slug = toSlug(data.slug, 160);
+        await this.assertSlugAvailable(values.slug);
+      } else {
+        values.slug = await this.generateUniqueSlug(data.display_name);
+      }
+
+      const [id] = await db(this.tableName).insert({
+        ...values,
+        created_at: now,
+        updated_at: now,
+      });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error creating author: ${err.message}`);
+      throw this.duplicateError(err, data);
+    }
+  },
+
+  async update(id, data) {
+    try {
+      const existing = await this.findById(id);
+
+      if (!existing) {
+        return null;
+      }
+
+      const values = this.pickWritable(data);
+
+      if (data.slug !== undefined) {
+        values.slug = toSlug(data.slug, 160);
+        if (!values.slug) {
+          throw createHttpError(400, "Slug cannot be empty");
+        }
+        await this.assertSlugAvailable(values.slug, id);
+      }
+
+      await db(this.tableName)
+        .where({ id })
+        .update({ ...values, updated_at: new Date() });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error updating author ID ${id}: ${err.message}`);
+      throw this.duplicateError(err, data);
+    }
+  },
+
+  async getByArticle(articleId) {
+    try {
+      return db(this.tableName)
+        .select(this.bylineColumns)
+        .join(this.pivotTable, "authors.id", "article_authors.author_id")
+        .where("article_authors.article_id", articleId)
+        .orderBy("article_authors.position");
+    } catch (err) {
+      console.error(
+        `Error fetching authors for article ID ${articleId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Embed ordered bylines into a list of articles with a single query
+  async attachToArticles(articles) {
+    if (!articles || articles.length === 0) {
+      return articles;
+    }
+
+    try {
+      const rows = await db(this.tableName)
+        .select([...this.bylineColumns, "article_authors.article_id"])
+        .join(this.pivotTable, "authors.id", "article_authors.author_id")
+        .whereIn(
+          "article_authors.article_id",
+          articles.map((article) => article.id)
+        )
+        .orderBy("article_authors.position");
+
+      const byArticle = new Map();
+      for (const { article_id, ...author } of rows) {
+        if (!byArticle.has(article_id)) {
+          byArticle.set(article_id, []);
+        }
+        byArticle.get(article_id).push(author);
+      }
+
+      for (const article of articles) {
+        article.authors = byArticle.get(article.id) || [];
+      }
+
+      return articles;
+    } catch (err) {
+      console.error(`Error attaching authors to articles: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Replace an article's authors; the array order becomes the byline order
+  async syncArticle(articleId, authorIds, trx = null) {
+    const conn = trx || db;
+    const ids = [...new Set(authorIds.map(Number))];
+
+    try {
+      if (ids.length > 0) {
+        const found = await conn(this.tableName)
+          .select("id")
+          .whereIn("id", ids);
+
+        if (found.length !== ids.length) {
+          const foundIds = new Set(found.map((author) => author.id));
+          const missing = ids.filter((id) => !foundIds.has(id));
+          throw createHttpError(
+            422,
+            `Author(s) ${missing.join(", ")} do not exist`
+          );
+        }
+      }
+
+      await conn(this.pivotTable).where("article_id", articleId).delete();
+
+      if (ids.length > 0) {
+        await conn(this.pivotTable).insert(
+          ids.map((authorId, position) => ({
+            article_id: articleId,
+            author_id: authorId,
+            position,
+          }))
+        );
+      }
+    } catch (err) {
+      console.error(
+        `Error syncing authors for article ID ${articleId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Paginated articles (co-)written by an author
+  async getArticles(authorId, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const perPage = parseInt(options.perPage) || 10;
+    const offset = (page - 1) * perPage;
+
+    try {
+      const base = db("articles")
+        .join(this.pivotTable, "articles.id", "article_authors.article_id")
+        .where("article_authors.author_id", authorId)
+        .modify((query) => {
+          if (!options.includeUnpublished) {
+            query.where("articles.status", "published");
+          }
+        });
+
+      const articles = await base
+        .clone()
+        .select(
+          "articles.*",
+          "categories.name as category_name",
+          "categories.slug as category_slug"
+        )
+        .join("categories", "articles.category_id", "categories.id")
+        .orderBy("articles.date_published", "desc")
+        .limit(perPage)
+        .offset(offset);
+
+      const countResult = await base
+        .clone()
+        .count("articles.id as total")
+        .first();
+
+      const total = countResult.total;
+      const totalPages = Math.ceil(total / perPage);
+
+      return {
+        articles: await this.attachToArticles(articles),
+        pagination: {
+          total,
+          perPage,
+          currentPage: page,
+          totalPages,
+        },
+      };
+    } catch (err) {
+      console.error(
+        `Error fetching articles for author ID ${authorId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+};
+
+export { Author };
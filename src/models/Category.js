@@ -1,11 +1,28 @@
 import { db } from "../config/database.js";
+import {
+  buildTree,
+  ancestorsOf,
+  descendantIdsOf,
+} from "../utils/categoryTree.js";
+import { toSlug } from "../utils/slug.js";
+import { createHttpError } from "../utils/httpError.js";
+import { ArticlePosition } from "./ArticlePosition.js";
+import { PlacementHistory } from "./PlacementHistory.js";
+import { SlugHistory } from "./SlugHistory.js";
 
 const Category = {
   tableName: "categories",
 
+  writableFields: ["name", "parent_id", "display_order"],
+
   async getAll() {
     try {
-      return db(this.tableName).select("*");
+      return db(this.tableName)
+        .select("*")
+        .orderBy([
+          { column: "display_order", order: "asc" },
+          { column: "name", order: "asc" },
+        ]);
     } catch (err) {
       console.error(`Error fetching all categories: ${err.message}`);
       throw err;
@@ -29,6 +46,437 @@ const Category = {
       throw err;
     }
   },
+
+  // Current slug of the category that used to be reachable under an old
+  // slug (including categories merged into it), or null
+  async findRedirect(slug) {
+    try {
+      const category = await db(this.tableName)
+        .select("categories.slug")
+        .join("slug_history", "slug_history.entity_id", "categories.id")
+        .where({
+          "slug_history.entity_type": SlugHistory.entities.CATEGORY,
+          "slug_history.slug": slug,
+        })
+        .first();
+
+      return category ? category.slug : null;
+    } catch (err) {
+      console.error(
+        `Error resolving old category slug ${slug}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  async getTree() {
+    try {
+      return buildTree(await this.getAll());
+    } catch (err) {
+      console.error(`Error building category tree: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Root-to-category trail used for breadcrumbs
+  async getBreadcrumbs(id) {
+    try {
+      const categories = await db(this.tableName).select(
+        "id",
+        "name",
+        "slug",
+        "parent_id"
+      );
+      return ancestorsOf(categories, id);
+    } catch (err) {
+      console.error(
+        `Error building breadcrumbs for category ID ${id}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // The category itself plus every category below it
+  async getDescendantIds(id) {
+    try {
+      const categories = await db(this.tableName).select("id", "parent_id");
+      return descendantIdsOf(categories, id);
+    } catch (err) {
+      console.error(
+        `Error finding subcategories of category ID ${id}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Old slugs stay reserved for the category that had them
+  async slugExists(slug, excludeId = null) {
+    return Boolean(await this.slugConflict(slug, excludeId));
+  },
+
+  // "used" by a current category, "retired" by another category's history,
+  // or null when the slug is free
+  async slugConflict(slug, excludeId = null) {
+    const query = db(this.tableName).select("id").where({ slug });
+
+    if (excludeId) {
+      query.whereNot("id", excludeId);
+    }
+
+    if (await query.first()) {
+      return "used";
+    }
+
+    const owner = await SlugHistory.findOwner(
+      SlugHistory.entities.CATEGORY,
+      slug
+    );
+    return owner && Number(owner) !== Number(excludeId) ? "retired" : null;
+  },
+
+  async assertSlugAvailable(slug, excludeId = null) {
+    const conflict = await this.slugConflict(slug, excludeId);
+
+    if (conflict === "used") {
+      throw createHttpError(409, `Slug "${slug}" is already used`);
+    }
+    if (conflict === "retired") {
+      throw createHttpError(
+        409,
+        `Slug "${slug}" was previously used by another category and still redirects to it`
+      );
+    }
+  },
+
+  async generateUniqueSlug(name, excludeId = null) {
+    const base = toSlug(name, 180) || "kategori";
+    let slug = base;
+    let suffix = 2;
+
+    while (await this.slugExists(slug, excludeId)) {
+      slug = `${base}-${suffix}`;
+      suffix++;
+    }
+
+    return slug;
+  },
+
+  // A parent must exist and must not be the category or one of its children
+  async assertValidParent(parentId, categoryId = null) {
+    if (!parentId) {
+      return;
+    }
+
+    const parent = await this.findById(parentId);
+    if (!parent) {
+      throw createHttpError(422, `Parent category ${parentId} does not exist`);
+    }
+
+    if (
+      categoryId &&
+      (await this.getDescendantIds(categoryId)).includes(Number(parentId))
+    ) {
+      throw createHttpError(
+        422,
+        "A category cannot be moved below itself or its subcategories"
+      );
+    }
+  },
+
+  pickWritable(data) {
+    return Object.fromEntries(
+      Object.entries(data).filter(
+        ([key, value]) =>
+          this.writableFields.includes(key) && value !== undefined
+      )
+    );
+  },
+
+  async create(data) {
+    try {
+      const values = this.pickWritable(data);
+
+      await this.assertValidParent(values.parent_id);
+
+      if (data.slug) {
+        values.slug = toSlug(data.slug, 180);
+        await this.assertSlugAvailable(values.slug);
+      } else {
+        values.slug = await this.generateUniqueSlug(values.name);
+      }
+
+      if (values.display_order === undefined) {
+        const last = await db(this.tableName)
+          .max("display_order as max")
+          .first();
+        values.display_order = (last?.max ?? -1) + 1;
+      }
+
+      const now = new Date();
+      const [id] = await db(this.tableName).insert({
+        ...values,
+        created_at: now,
+        updated_at: now,
+      });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error creating category: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async update(id, data) {
+    try {
+      const existing = await this.findById(id);
+
+      if (!existing) {
+        return null;
+      }
+
+      const values = this.pickWritable(data);
+
+      if (values.parent_id !== undefined) {
+        await this.assertValidParent(values.parent_id, id);
+      }
+
+      if (data.slug !== undefined) {
+        values.slug = toSlug(data.slug, 180);
+        if (!values.slug) {
+          throw createHttpError(400, "Slug cannot be empty");
+        }
+        await this.assertSlugAvailable(values.slug, id);
+      }
+
+      await db.transaction(async (trx) => {
+        await trx(this.tableName)
+          .where({ id })
+          .update({ ...values, updated_at: new Date() });
+
+        // The previous slug keeps redirecting to this category
+        if (values.slug !== undefined && values.slug !== existing.slug) {
+          await SlugHistory.recordChange(
+            SlugHistory.entities.CATEGORY,
+            id,
+            existing.slug,
+            values.slug,
+            trx
+          );
+        }
+      });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error updating category ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Set display_order from the position of each ID in the list
+  async reorder(ids) {
+    try {
+      const found = await db(this.tableName).select("id").whereIn("id", ids);
+
+      if (found.length !== new Set(ids).size) {
+        throw createHttpError(422, "Order contains unknown category IDs");
+      }
+
+      await db.transaction(async (trx) => {
+        for (const [index, id] of ids.entries()) {
+          await trx(this.tableName)
+            .where({ id })
+            .update({ display_order: index, updated_at: new Date() });
+        }
+      });
+
+      return this.getAll();
+    } catch (err) {
+      console.error(`Error reordering categories: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Number of rows that still point at a category
+  async countDependents(id, trx = null) {
+    const conn = trx || db;
+    const [articles, positions, children] = await Promise.all([
+      conn("articles").where("category_id", id).count("* as total").first(),
+      conn("article_positions")
+        .where("category_id", id)
+        .count("* as total")
+        .first(),
+      conn(this.tableName).where("parent_id", id).count("* as total").first(),
+    ]);
+
+    return {
+      articles: Number(articles.total),
+      positions: Number(positions.total),
+      children: Number(children.total),
+    };
+  },
+
+  // Move every article, placement and subcategory from one category into
+  // another, then delete the emptied category. Placements that would
+  // exceed a position's capacity in the target, or duplicate one already
+  // there, are closed instead and reported as dropped.
+  async merge(sourceId, targetId) {
+    try {
+      if (Number(sourceId) === Number(targetId)) {
+        throw createHttpError(422, "Cannot merge a category into itself");
+      }
+
+      const [source, target] = await Promise.all([
+        this.findById(sourceId),
+        this.findById(targetId),
+      ]);
+
+      if (!source) {
+        return null;
+      }
+
+      if (!target) {
+        throw createHttpError(422, `Category ${targetId} does not exist`);
+      }
+
+      // Children of the source move up to the target, so the target must
+      // not sit inside the source's subtree
+      if ((await this.getDescendantIds(sourceId)).includes(target.id)) {
+        throw createHttpError(
+          422,
+          "Cannot merge a category into one of its subcategories"
+        );
+      }
+
+      const { moved, dropped } = await db.transaction(async (trx) => {
+        const now = new Date();
+        await ArticlePosition.lockCategories(trx, source.id, target.id);
+
+        const articles = await trx("articles")
+          .where("category_id", sourceId)
+          .update({ category_id: target.id, updated_at: now });
+
+        // One at a time, so each check sees the placements moved before it
+        const placements = await trx("article_positions")
+          .where("category_id", sourceId)
+          .orderBy(["position", "slot_order"]);
+        const dropped = [];
+        let positions = 0;
+
+        for (const placement of placements) {
+          try {
+            await ArticlePosition.assertNotPlaced(
+              trx,
+              placement.article_id,
+              placement.position,
+              target.id
+            );
+            await ArticlePosition.assertCapacity(
+              trx,
+              placement.position,
+              target.id,
+              placement
+            );
+          } catch (err) {
+            if (err.statusCode !== 409) {
+              throw err;
+            }
+
+            await trx("article_positions").where("id", placement.id).delete();
+            await PlacementHistory.close(placement.id, "removed", {}, trx);
+            dropped.push({
+              id: placement.id,
+              article_id: placement.article_id,
+              position: placement.position,
+              reason: err.message,
+            });
+            continue;
+          }
+
+          const last = await ArticlePosition.scope(
+            trx,
+            placement.position,
+            target.id
+          )
+            .max("slot_order as max")
+            .first();
+          const slot = (last?.max ?? -1) + 1;
+
+          await trx("article_positions")
+            .where("id", placement.id)
+            .update({ category_id: target.id, slot_order: slot });
+          await PlacementHistory.close(placement.id, "changed", {}, trx);
+          await PlacementHistory.open(
+            { ...placement, category_id: target.id, slot_order: slot },
+            null,
+            trx
+          );
+          positions++;
+        }
+        const children = await trx(this.tableName)
+          .where("parent_id", sourceId)
+          .update({ parent_id: target.id, updated_at: now });
+
+        // Links to the merged category now lead to the target
+        await SlugHistory.transfer(
+          SlugHistory.entities.CATEGORY,
+          source.id,
+          target.id,
+          trx
+        );
+        await SlugHistory.recordChange(
+          SlugHistory.entities.CATEGORY,
+          target.id,
+          source.slug,
+          target.slug,
+          trx
+        );
+
+        await trx(this.tableName).where("id", sourceId).delete();
+
+        return { moved: { articles, positions, children }, dropped };
+      });
+
+      return { target, moved, dropped };
+    } catch (err) {
+      console.error(
+        `Error merging category ID ${sourceId} into ${targetId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Delete a category. Categories still in use need a reassignTo target
+  // that takes over their articles, placements and subcategories.
+  async remove(id, options = {}) {
+    try {
+      const existing = await this.findById(id);
+
+      if (!existing) {
+        return null;
+      }
+
+      if (options.reassignTo) {
+        return this.merge(id, options.reassignTo);
+      }
+
+      const dependents = await this.countDependents(id);
+      if (dependents.articles || dependents.positions || dependents.children) {
+        throw createHttpError(
+          409,
+          `Category is still used by ${dependents.articles} article(s), ${dependents.positions} placement(s) and ${dependents.children} subcategory(ies); pass reassign_to to move them`
+        );
+      }
+
+      await db.transaction(async (trx) => {
+        await SlugHistory.removeFor(SlugHistory.entities.CATEGORY, id, trx);
+        await trx(this.tableName).where({ id }).delete();
+      });
+      return { moved: dependents };
+    } catch (err) {
+      console.error(`Error deleting category ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
 };
 
 export { Category };
@@ -0,0 +1,135 @@
+import { db } from "../config/database.js";
+
+// Uploaded images (media library). Files live in the image storage under a
+// content-hashed filename; this table holds their editorial metadata.
+const Media = {
+  tableName: "media",
+
+  writableFields: ["caption", "credit", "alt_text"],
+
+  // Editorial metadata, trimmed; blank values are stored as null
+  pickWritable(data) {
+    const values = {};
+
+    for (const field of this.writableFields) {
+      if (data[field] !== undefined) {
+        const value =
+          typeof data[field] === "string" ? data[field].trim() : data[field];
+        values[field] = value || null;
+      }
+    }
+
+    return values;
+  },
+
+  async findById(id) {
+    try {
+      return db(this.tableName).where({ id }).first();
+    } catch (err) {
+      console.error(`Error finding media ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async findByFilename(filename) {
+    try {
+      return db(this.tableName).where({ filename }).first();
+    } catch (err) {
+      console.error(`Error finding media ${filename}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async create(data) {
+    try {
+      const now = new Date();
+      const [id] = await db(this.tableName).insert({
+        filename: data.filename,
+        original_name: data.original_name,
+        mime_type: data.mime_type,
+        size: data.size,
+        width: data.width,
+        height: data.height,
+        ...this.pickWritable(data),
+        uploaded_by: data.uploaded_by || null,
+        created_at: now,
+        updated_at: now,
+      });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error creating media ${data.filename}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async update(id, data) {
+    try {
+      const existing = await this.findById(id);
+
+      if (!existing) {
+        return null;
+      }
+
+      await db(this.tableName)
+        .where({ id })
+        .update({ ...this.pickWritable(data), updated_at: new Date() });
+
+      return this.findById(id);
+    } catch (err) {
+      console.error(`Error updating media ID ${id}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Paginated library, newest first. `search` matches the original file
+  // name, caption, credit and alt text; `type` filters by MIME type.
+  async list(options = {}) {
+    const page = parseInt(options.page) || 1;
+    const perPage = parseInt(options.perPage) || 24;
+    const offset = (page - 1) * perPage;
+
+    try {
+      const base = db(this.tableName).modify((query) => {
+        if (options.search) {
+          const pattern = `%${options.search}%`;
+          query.where(function () {
+            this.where("original_name", "like", pattern)
+              .orWhere("caption", "like", pattern)
+              .orWhere("credit", "like", pattern)
+              .orWhere("alt_text", "like", pattern);
+          });
+        }
+        if (options.type) {
+          query.where("mime_type", options.type);
+        }
+      });
+
+      const media = await base
+        .clone()
+        .select("*")
+        .orderBy("created_at", "desc")
+        .orderBy("id", "desc")
+        .limit(perPage)
+        .offset(offset);
+
+      const countResult = await base.clone().count("id as total").first();
+      const total = Number(countResult.total);
+
+      return {
+        media,
+        pagination: {
+          total,
+          perPage,
+          currentPage: page,
+          totalPages: Math.ceil(total / perPage),
+        },
+      };
+    } catch (err) {
+      console.error(`Error listing media: ${err.message}`);
+      throw err;
+    }
+  },
+};
+
+export { Media };
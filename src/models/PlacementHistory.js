@@ -0,0 +1,130 @@
+import { db } from "../config/database.js";
+
+// Audit trail of article_positions: one row per period a placement was live
+const PlacementHistory = {
+  tableName: "article_position_history",
+
+  // Start a history period for a placement's current state
+  async open(placement, userId = null, trx = null) {
+    const conn = trx || db;
+    const now = new Date();
+    const startsAt = placement.starts_at && new Date(placement.starts_at);
+
+    try {
+      await conn(this.tableName).insert({
+        placement_id: placement.id,
+        article_id: placement.article_id,
+        category_id: placement.category_id,
+        position: placement.position,
+        slot_order: placement.slot_order || 0,
+        active_from: startsAt && startsAt > now ? startsAt : now,
+        active_until: placement.ends_at || null,
+        placed_by: userId,
+      });
+    } catch (err) {
+      console.error(
+        `Error opening history for placement ID ${placement.id}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // End the open period of a placement. A period that had not started
+  // yet, or already ended on its own, keeps its own bounds.
+  async close(placementId, reason, options = {}, trx = null) {
+    const conn = trx || db;
+    const at = options.at || new Date();
+
+    try {
+      return conn(this.tableName)
+        .where("placement_id", placementId)
+        .whereNull("removal_reason")
+        .update({
+          active_until: conn.raw(
+            "CASE WHEN active_until IS NULL OR active_until > ? THEN GREATEST(active_from, ?) ELSE active_until END",
+            [at, at]
+          ),
+          removed_by: options.userId || null,
+          removal_reason: reason,
+        });
+    } catch (err) {
+      console.error(
+        `Error closing history for placement ID ${placementId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // What occupied a position at a given moment
+  async getAt(position, at, categoryId = null) {
+    try {
+      return db(this.tableName)
+        .select(
+          "article_position_history.*",
+          "articles.title",
+          "articles.slug as article_slug"
+        )
+        .leftJoin(
+          "articles",
+          "article_position_history.article_id",
+          "articles.id"
+        )
+        .where("article_position_history.position", position)
+        .where("article_position_history.active_from", "<=", at)
+        .where((query) =>
+          query
+            .whereNull("article_position_history.active_until")
+            .orWhere("article_position_history.active_until", ">", at)
+        )
+        .modify((query) => {
+          if (categoryId) {
+            query.where("article_position_history.category_id", categoryId);
+          }
+        })
+        .orderBy("article_position_history.category_id")
+        .orderBy("article_position_history.slot_order");
+    } catch (err) {
+      console.error(
+        `Error fetching ${position} history at ${at}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Most recent history periods of a position, newest first
+  async list(position, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const perPage = parseInt(options.perPage) || 20;
+
+    try {
+      return db(this.tableName)
+        .select(
+          "article_position_history.*",
+          "articles.title",
+          "articles.slug as article_slug"
+        )
+        .leftJoin(
+          "articles",
+          "article_position_history.article_id",
+          "articles.id"
+        )
+        .where("article_position_history.position", position)
+        .modify((query) => {
+          if (options.categoryId) {
+            query.where(
+              "article_position_history.category_id",
+              options.categoryId
+            );
+          }
+        })
+        .orderBy("article_position_history.active_from", "desc")
+        .limit(perPage)
+        .offset((page - 1) * perPage);
+    } catch (err) {
+      console.error(`Error listing ${position} history: ${err.message}`);
+      throw err;
+    }
+  },
+};
+
+export { PlacementHistory };
@@ -0,0 +1,139 @@
+import { db } from "../config/database.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Search analytics over the search_queries log
+const SearchQuery = {
+  tableName: "search_queries",
+
+  // Reporting window; defaults to the last 7 days
+  range(options = {}) {
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from
+      ? new Date(options.from)
+      : new Date(to.getTime() - 7 * DAY);
+
+    return { from, to };
+  },
+
+  scoped(options) {
+    const { from, to } = this.range(options);
+
+    return db(this.tableName)
+      .whereBetween("created_at", [from, to])
+      .modify((query) => {
+        if (options.endpoint) {
+          query.where("endpoint", options.endpoint);
+        }
+      });
+  },
+
+  async getTopQueries(options = {}) {
+    try {
+      const rows = await this.scoped(options)
+        .select("term")
+        .count("* as searches")
+        .avg("result_count as avg_results")
+        .avg("latency_ms as avg_latency_ms")
+        .count("clicked_article_id as clicks")
+        .groupBy("term")
+        .orderBy("searches", "desc")
+        .limit(options.limit || 20);
+
+      return rows.map((row) => ({
+        term: row.term,
+        searches: Number(row.searches),
+        avg_results: Number(Number(row.avg_results).toFixed(1)),
+        avg_latency_ms: Math.round(Number(row.avg_latency_ms)),
+        clicks: Number(row.clicks),
+        click_rate: Number(
+          (Number(row.clicks) / Number(row.searches)).toFixed(3)
+        ),
+      }));
+    } catch (err) {
+      console.error(`Error fetching top search queries: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async getZeroResultQueries(options = {}) {
+    try {
+      const rows = await this.scoped(options)
+        .where("result_count", 0)
+        .select("term")
+        .count("* as searches")
+        .max("created_at as last_searched_at")
+        .groupBy("term")
+        .orderBy("searches", "desc")
+        .limit(options.limit || 20);
+
+      return rows.map((row) => ({
+        ...row,
+        searches: Number(row.searches),
+      }));
+    } catch (err) {
+      console.error(`Error fetching zero-result queries: ${err.message}`);
+      throw err;
+    }
+  },
+
+  // Terms searched more in the last `hours` than in the same span before.
+  // Growth is smoothed with +1 so brand-new terms do not divide by zero.
+  async getTrending(options = {}) {
+    const hours = options.hours || 24;
+    const now = options.to ? new Date(options.to) : new Date();
+    const middle = new Date(now.getTime() - hours * 60 * 60 * 1000);
+    const start = new Date(middle.getTime() - hours * 60 * 60 * 1000);
+
+    try {
+      const rows = await db(this.tableName)
+        .select("term")
+        .select(
+          db.raw("SUM(created_at >= ?) AS current_searches", [middle]),
+          db.raw("SUM(created_at < ?) AS previous_searches", [middle])
+        )
+        .whereBetween("created_at", [start, now])
+        .modify((query) => {
+          if (options.endpoint) {
+            query.where("endpoint", options.endpoint);
+          }
+        })
+        .groupBy("term")
+        .havingRaw("SUM(created_at >= ?) >= ?", [
+          middle,
+          options.minSearches || 3,
+        ])
+        .orderByRaw(
+          "(SUM(created_at >= ?) + 1) / (SUM(created_at < ?) + 1) DESC",
+          [middle, middle]
+        )
+        .limit(options.limit || 20);
+
+      return rows.map((row) => {
+        const current = Number(row.current_searches);
+        const previous = Number(row.previous_searches);
+
+        return {
+          term: row.term,
+          current_searches: current,
+          previous_searches: previous,
+          growth: Number(((current + 1) / (previous + 1)).toFixed(2)),
+        };
+      });
+    } catch (err) {
+      console.error(`Error fetching trending search terms: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async removeOlderThan(date) {
+    try {
+      return await db(this.tableName).where("created_at", "<", date).delete();
+    } catch (err) {
+      console.error(`Error removing old search queries: ${err.message}`);
+      throw err;
+    }
+  },
+};
+
+export { SearchQuery };
@@ -0,0 +1,94 @@
+import { db } from "../config/database.js";
+
+const ENTITY = {
+  ARTICLE: "article",
+  CATEGORY: "category",
+};
+
+// Previous slugs of articles and categories. An old slug keeps pointing at
+// its owner so lookups can redirect, and stays reserved for that owner.
+const SlugHistory = {
+  tableName: "slug_history",
+
+  entities: ENTITY,
+
+  // ID of the article/category that used to have this slug, or null
+  async findOwner(entityType, slug, trx = null) {
+    const conn = trx || db;
+
+    try {
+      const row = await conn(this.tableName)
+        .select("entity_id")
+        .where({ entity_type: entityType, slug })
+        .first();
+
+      return row ? row.entity_id : null;
+    } catch (err) {
+      console.error(
+        `Error finding ${entityType} owning old slug ${slug}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Record a slug change: the old slug is retired for the entity, and the
+  // new one is released if the entity is returning to an earlier slug
+  async recordChange(entityType, entityId, oldSlug, newSlug, trx = null) {
+    const conn = trx || db;
+
+    try {
+      await conn(this.tableName)
+        .where({ entity_type: entityType, entity_id: entityId, slug: newSlug })
+        .delete();
+
+      await conn(this.tableName)
+        .insert({
+          entity_type: entityType,
+          entity_id: entityId,
+          slug: oldSlug,
+          retired_at: new Date(),
+        })
+        .onConflict(["entity_type", "slug"])
+        .merge(["entity_id", "retired_at"]);
+    } catch (err) {
+      console.error(
+        `Error recording slug change of ${entityType} ID ${entityId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Hand every old slug of one entity to another (category merge)
+  async transfer(entityType, fromId, toId, trx = null) {
+    const conn = trx || db;
+
+    try {
+      return conn(this.tableName)
+        .where({ entity_type: entityType, entity_id: fromId })
+        .update({ entity_id: toId });
+    } catch (err) {
+      console.error(
+        `Error moving old slugs of ${entityType} ID ${fromId} to ${toId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Forget the old slugs of a deleted entity so they can be used again
+  async removeFor(entityType, entityId, trx = null) {
+    const conn = trx || db;
+
+    try {
+      return conn(this.tableName)
+        .where({ entity_type: entityType, entity_id: entityId })
+        .delete();
+    } catch (err) {
+      console.error(
+        `Error removing old slugs of ${entityType} ID ${entityId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+};
+
+export { SlugHistory };
@@ -0,0 +1,170 @@
+import { db } from "../config/database.js";
+import { toSlug } from "../utils/slug.js";
+import { Author } from "./Author.js";
+
+const Tag = {
+  tableName: "tags",
+  pivotTable: "article_tags",
+
+  // Tags with the number of published articles carrying them
+  async getAll() {
+    try {
+      return db(this.tableName)
+        .select("tags.id", "tags.name", "tags.slug")
+        .count("articles.id as article_count")
+        .leftJoin(this.pivotTable, "tags.id", "article_tags.tag_id")
+        .leftJoin("articles", function () {
+          this.on("articles.id", "article_tags.article_id").andOnVal(
+            "articles.status",
+            "published"
+          );
+        })
+        .groupBy("tags.id", "tags.name", "tags.slug")
+        .orderBy("tags.name");
+    } catch (err) {
+      console.error(`Error fetching all tags: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async findBySlug(slug) {
+    try {
+      return db(this.tableName).where({ slug }).first();
+    } catch (err) {
+      console.error(`Error finding tag by slug ${slug}: ${err.message}`);
+      throw err;
+    }
+  },
+
+  async getByArticle(articleId) {
+    try {
+      return db(this.tableName)
+        .select("tags.id", "tags.name", "tags.slug")
+        .join(this.pivotTable, "tags.id", "article_tags.tag_id")
+        .where("article_tags.article_id", articleId)
+        .orderBy("tags.name");
+    } catch (err) {
+      console.error(
+        `Error fetching tags for article ID ${articleId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Resolve tag names to rows, creating the ones that do not exist yet
+  async findOrCreate(names, trx = null) {
+    const conn = trx || db;
+    const bySlug = new Map();
+
+    for (const rawName of names) {
+      const name = String(rawName).replace(/\s+/g, " ").trim();
+      const slug = toSlug(name, 120);
+      if (name && slug && !bySlug.has(slug)) {
+        bySlug.set(slug, name);
+      }
+    }
+
+    if (bySlug.size === 0) {
+      return [];
+    }
+
+    const existing = await conn(this.tableName).whereIn("slug", [
+      ...bySlug.keys(),
+    ]);
+    const existingSlugs = new Set(existing.map((tag) => tag.slug));
+    const now = new Date();
+
+    for (const [slug, name] of bySlug) {
+      if (!existingSlugs.has(slug)) {
+        const [id] = await conn(this.tableName).insert({
+          name,
+          slug,
+          created_at: now,
+          updated_at: now,
+        });
+        existing.push({ id, name, slug });
+      }
+    }
+
+    return existing;
+  },
+
+  // Replace an article's tags with the given tag names
+  async syncArticle(articleId, names, trx = null) {
+    const conn = trx || db;
+
+    try {
+      const tags = await this.findOrCreate(names, conn);
+
+      await conn(this.pivotTable).where("article_id", articleId).delete();
+
+      if (tags.length > 0) {
+        await conn(this.pivotTable).insert(
+          tags.map((tag) => ({ article_id: articleId, tag_id: tag.id }))
+        );
+      }
+
+      return tags;
+    } catch (err) {
+      console.error(
+        `Error syncing tags for article ID ${articleId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+
+  // Paginated articles for a tag, matching the category listing envelope
+  async getArticles(tagId, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const perPage = parseInt(options.perPage) || 10;
+    const offset = (page - 1) * perPage;
+
+    try {
+      const base = db("articles")
+        .join(this.pivotTable, "articles.id", "article_tags.article_id")
+        .where("article_tags.tag_id", tagId)
+        .modify((query) => {
+          if (!options.includeUnpublished) {
+            query.where("articles.status", "published");
+          }
+        });
+
+      const articles = await base
+        .clone()
+        .select(
+          "articles.*",
+          "categories.name as category_name",
+          "categories.slug as category_slug"
+        )
+        .join("categories", "articles.category_id", "categories.id")
+        .orderBy("articles.date_published", "desc")
+        .limit(perPage)
+        .offset(offset);
+
+      const countResult = await base
+        .clone()
+        .count("articles.id as total")
+        .first();
+
+      const total = countResult.total;
+      const totalPages = Math.ceil(total / perPage);
+
+      return {
+        articles: await Author.attachToArticles(articles),
+        pagination: {
+          total,
+          perPage,
+          currentPage: page,
+          totalPages,
+        },
+      };
+    } catch (err) {
+      console.error(
+        `Error fetching articles for tag ID ${tagId}: ${err.message}`
+      );
+      throw err;
+    }
+  },
+};
+
+export { Tag };
@@ -1,15 +1,29 @@
 import { Category } from "./Category.js";
+import { Tag } from "./Tag.js";
 import { Article } from "./Article.js";
 import { ArticlePosition } from "./ArticlePosition.js";
+import { ArticleRevision } from "./ArticleRevision.js";
+import { PlacementHistory } from "./PlacementHistory.js";
+import { SlugHistory } from "./SlugHistory.js";
+import { SearchQuery } from "./SearchQuery.js";
+import { Media } from "./Media.js";
 import { User } from "./User.js";
+import { Author } from "./Author.js";
 import { ApiKey } from "./ApiKey.js";
 import { ClientConnection } from "./ClientConnection.js";
 
 const models = {
   Category,
+  Tag,
   Article,
   ArticlePosition,
+  ArticleRevision,
+  PlacementHistory,
+  SlugHistory,
+  SearchQuery,
+  Media,
   User,
+  Author,
   ApiKey,
   ClientConnection,
 };
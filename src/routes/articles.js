@@ -1,14 +1,100 @@
 import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import {
+  ROLES,
+  isEditorialUser,
+  verifyUser,
+  optionalUser,
+  requireRole,
+} from "../middleware/userAuth.js";
 import { models } from "../models/index.js";
 
+const articleProperties = {
+  title: { type: "string", minLength: 1, maxLength: 255 },
+  slug: { type: "string", minLength: 1, maxLength: 200 },
+  description: { type: "string", maxLength: 1000 },
+  content: { type: "string", minLength: 1 },
+  image_url: { type: ["string", "null"], maxLength: 255 },
+  category_id: { type: "integer", minimum: 1 },
+  date_published: { type: "string", format: "date-time" },
+  publish_at: { type: ["string", "null"], format: "date-time" },
+  unpublish_at: { type: ["string", "null"], format: "date-time" },
+  seo_title: { type: ["string", "null"], maxLength: 150 },
+  seo_description: { type: ["string", "null"], maxLength: 320 },
+  author_ids: {
+    type: "array",
+    maxItems: 10,
+    items: { type: "integer", minimum: 1 },
+  },
+  tags: {
+    type: "array",
+    maxItems: 20,
+    items: { type: "string", minLength: 1, maxLength: 100 },
+  },
+};
+
+const articleIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+  },
+};
+
+const createArticleSchema = {
+  body: {
+    type: "object",
+    required: ["title", "content", "category_id"],
+    additionalProperties: false,
+    properties: articleProperties,
+  },
+};
+
+const replaceArticleSchema = {
+  params: articleIdParams,
+  body: createArticleSchema.body,
+};
+
+const patchArticleSchema = {
+  params: articleIdParams,
+  body: {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: articleProperties,
+  },
+};
+
+const writeGuards = [
+  verifyApiKey,
+  verifyUser,
+  requireRole(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER),
+];
+
+function sendModelError(fastify, reply, err, action) {
+  if (err.statusCode) {
+    return reply
+      .code(err.statusCode)
+      .send({ success: false, message: err.message });
+  }
+
+  fastify.log.error(`Error ${action} article: ${err.message}`);
+  return reply
+    .code(500)
+    .send({ success: false, message: "Internal server error" });
+}
+
 function registerArticleRoutes(fastify) {
   // Articles API
   fastify.get(
     "/api/articles",
-    { preHandler: verifyApiKey },
+    { preHandler: [verifyApiKey, optionalUser] },
     async (request, reply) => {
       try {
-        const articles = await models.Article.getAll(request.query);
+        // Only newsroom users may ask for statuses other than published
+        const filters = isEditorialUser(request.user)
+          ? request.query
+          : { ...request.query, status: models.Article.statuses.PUBLISHED };
+        const articles = await models.Article.getAll(filters);
         return { success: true, data: articles };
       } catch (err) {
         fastify.log.error(`Error fetching articles: ${err.message}`);
@@ -21,13 +107,34 @@ function registerArticleRoutes(fastify) {
 
   fastify.get(
     "/api/articles/:slug",
-    { preHandler: verifyApiKey },
+    { preHandler: [verifyApiKey, optionalUser] },
     async (request, reply) => {
       try {
         const { slug } = request.params;
-        const article = await models.Article.findBySlug(slug);
+        const options = {
+          includeUnpublished: isEditorialUser(request.user),
+        };
+        const article = await models.Article.findBySlug(slug, {
+          ...options,
+          apiBaseUrl: `${request.protocol}://${request.host}`,
+        });
 
         if (!article) {
+          // Old slugs redirect permanently to the article's current slug
+          const currentSlug = await models.Article.findRedirect(slug, options);
+
+          if (currentSlug) {
+            const location = `/api/articles/${encodeURIComponent(currentSlug)}`;
+            return reply
+              .code(301)
+              .header("Location", location)
+              .send({
+                success: false,
+                message: "Article has moved",
+                data: { slug: currentSlug, location },
+              });
+          }
+
           return reply
             .code(404)
             .send({ success: false, message: "Article not found" });
@@ -42,6 +149,132 @@ function registerArticleRoutes(fastify) {
       }
     }
   );
+
+  fastify.post(
+    "/api/articles",
+    { preHandler: writeGuards, schema: createArticleSchema },
+    async (request, reply) => {
+      try {
+        const article = await models.Article.create(request.body, request.user);
+        fastify.log.info(
+          `Article ${article.id} created by user ${request.user.id}`
+        );
+        return reply.code(201).send({ success: true, data: article });
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "creating");
+      }
+    }
+  );
+
+  const updateHandler = async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const article = await models.Article.update(
+        id,
+        request.body,
+        request.user
+      );
+
+      if (!article) {
+        return reply
+          .code(404)
+          .send({ success: false, message: "Article not found" });
+      }
+
+      fastify.log.info(`Article ${id} updated by user ${request.user.id}`);
+      return { success: true, data: article };
+    } catch (err) {
+      return sendModelError(fastify, reply, err, "updating");
+    }
+  };
+
+  fastify.put(
+    "/api/articles/:id",
+    { preHandler: writeGuards, schema: replaceArticleSchema },
+    updateHandler
+  );
+
+  fastify.patch(
+    "/api/articles/:id",
+    { preHandler: writeGuards, schema: patchArticleSchema },
+    updateHandler
+  );
+
+  fastify.post(
+    "/api/articles/:id/transition",
+    {
+      preHandler: writeGuards,
+      schema: {
+        params: articleIdParams,
+        body: {
+          type: "object",
+          required: ["status"],
+          additionalProperties: false,
+          properties: {
+            status: {
+              type: "string",
+              enum: Object.values(models.Article.statuses),
+            },
+            publish_at: { type: "string", format: "date-time" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const { status, publish_at } = request.body;
+        const article = await models.Article.transition(
+          id,
+          status,
+          request.user,
+          { publish_at }
+        );
+
+        if (!article) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Article not found" });
+        }
+
+        fastify.log.info(
+          `Article ${id} moved to ${status} by user ${request.user.id}`
+        );
+        return { success: true, data: article };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "transitioning");
+      }
+    }
+  );
+
+  fastify.delete(
+    "/api/articles/:id",
+    {
+      preHandler: [
+        verifyApiKey,
+        verifyUser,
+        requireRole(ROLES.ADMIN, ROLES.EDITOR),
+      ],
+      schema: { params: articleIdParams },
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const deleted = await models.Article.remove(id);
+
+        if (!deleted) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Article not found" });
+        }
+
+        fastify.log.info(`Article ${id} deleted by user ${request.user.id}`);
+        return { success: true, message: "Article deleted" };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "deleting");
+      }
+    }
+  );
 }
 
 export { registerArticleRoutes };
@@ -0,0 +1,180 @@
+import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import {
+  ROLES,
+  isEditorialUser,
+  verifyUser,
+  optionalUser,
+  requireRole,
+} from "../middleware/userAuth.js";
+import { models } from "../models/index.js";
+
+const authorProperties = {
+  user_id: { type: ["integer", "null"], minimum: 1 },
+  display_name: { type: "string", minLength: 1, maxLength: 150 },
+  slug: { type: "string", minLength: 1, maxLength: 160 },
+  bio: { type: ["string", "null"], maxLength: 5000 },
+  avatar_url: { type: ["string", "null"], maxLength: 255 },
+  social_links: {
+    type: ["object", "null"],
+    maxProperties: 10,
+    additionalProperties: { type: "string", format: "uri", maxLength: 255 },
+  },
+};
+
+const manageGuards = [
+  verifyApiKey,
+  verifyUser,
+  requireRole(ROLES.ADMIN, ROLES.EDITOR),
+];
+
+function sendModelError(fastify, reply, err, action) {
+  if (err.statusCode) {
+    return reply
+      .code(err.statusCode)
+      .send({ success: false, message: err.message });
+  }
+
+  fastify.log.error(`Error ${action} author: ${err.message}`);
+  return reply
+    .code(500)
+    .send({ success: false, message: "Internal server error" });
+}
+
+function registerAuthorRoutes(fastify) {
+  // Authors API
+  fastify.get(
+    "/api/authors",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const authors = await models.Author.getAll();
+        return { success: true, data: authors };
+      } catch (err) {
+        fastify.log.error(`Error fetching authors: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.get(
+    "/api/authors/:slug",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const author = await models.Author.findBySlug(request.params.slug);
+
+        if (!author) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Author not found" });
+        }
+
+        delete author.user_id;
+        return { success: true, data: author };
+      } catch (err) {
+        fastify.log.error(`Error fetching author: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.get(
+    "/api/authors/:slug/articles",
+    { preHandler: [verifyApiKey, optionalUser] },
+    async (request, reply) => {
+      try {
+        const author = await models.Author.findBySlug(request.params.slug);
+
+        if (!author) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Author not found" });
+        }
+
+        const { articles, pagination } = await models.Author.getArticles(
+          author.id,
+          {
+            page: request.query.page,
+            perPage: request.query.perPage,
+            includeUnpublished: isEditorialUser(request.user),
+          }
+        );
+
+        delete author.user_id;
+        return { success: true, author, articles, pagination };
+      } catch (err) {
+        fastify.log.error(`Error fetching author articles: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.post(
+    "/api/authors",
+    {
+      preHandler: manageGuards,
+      schema: {
+        body: {
+          type: "object",
+          required: ["display_name"],
+          additionalProperties: false,
+          properties: authorProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const author = await models.Author.create(request.body);
+        return reply.code(201).send({ success: true, data: author });
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "creating");
+      }
+    }
+  );
+
+  fastify.patch(
+    "/api/authors/:id",
+    {
+      preHandler: manageGuards,
+      schema: {
+        params: {
+          type: "object",
+          required: ["id"],
+          properties: { id: { type: "integer", minimum: 1 } },
+        },
+        body: {
+          type: "object",
+          minProperties: 1,
+          additionalProperties: false,
+          properties: authorProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const author = await models.Author.update(
+          request.params.id,
+          request.body
+        );
+
+        if (!author) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Author not found" });
+        }
+
+        return { success: true, data: author };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "updating");
+      }
+    }
+  );
+}
+
+export { registerAuthorRoutes };
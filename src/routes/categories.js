@@ -1,7 +1,38 @@
 import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import { ROLES, verifyUser, requireRole } from "../middleware/userAuth.js";
 
 import { models } from "../models/index.js";
 
+const categoryProperties = {
+  name: { type: "string", minLength: 1, maxLength: 150 },
+  slug: { type: "string", minLength: 1, maxLength: 180 },
+  parent_id: { type: ["integer", "null"], minimum: 1 },
+  display_order: { type: "integer", minimum: 0 },
+};
+
+const categoryIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+  },
+};
+
+const adminGuards = [verifyApiKey, verifyUser, requireRole(ROLES.ADMIN)];
+
+function sendModelError(fastify, reply, err, action) {
+  if (err.statusCode) {
+    return reply
+      .code(err.statusCode)
+      .send({ success: false, message: err.message });
+  }
+
+  fastify.log.error(`Error ${action} category: ${err.message}`);
+  return reply
+    .code(500)
+    .send({ success: false, message: "Internal server error" });
+}
+
 function registerCategoryRoutes(fastify) {
   // Categories API
   fastify.get(
@@ -20,6 +51,22 @@ function registerCategoryRoutes(fastify) {
     }
   );
 
+  fastify.get(
+    "/api/categories/tree",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const tree = await models.Category.getTree();
+        return { success: true, data: tree };
+      } catch (err) {
+        fastify.log.error(`Error fetching category tree: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
   fastify.get(
     "/api/categories/:slug",
     { preHandler: verifyApiKey },
@@ -29,11 +76,31 @@ function registerCategoryRoutes(fastify) {
         const category = await models.Category.findBySlug(slug);
 
         if (!category) {
+          // Old slugs redirect permanently to the category's current slug
+          const currentSlug = await models.Category.findRedirect(slug);
+
+          if (currentSlug) {
+            const location = `/api/categories/${encodeURIComponent(
+              currentSlug
+            )}`;
+            return reply
+              .code(301)
+              .header("Location", location)
+              .send({
+                success: false,
+                message: "Category has moved",
+                data: { slug: currentSlug, location },
+              });
+          }
+
           return reply
             .code(404)
             .send({ success: false, message: "Category not found" });
         }
 
+        category.breadcrumbs = await models.Category.getBreadcrumbs(
+          category.id
+        );
         return { success: true, data: category };
       } catch (err) {
         fastify.log.error(`Error fetching category: ${err.message}`);
@@ -43,6 +110,171 @@ function registerCategoryRoutes(fastify) {
       }
     }
   );
+
+  fastify.post(
+    "/api/categories",
+    {
+      preHandler: adminGuards,
+      schema: {
+        body: {
+          type: "object",
+          required: ["name"],
+          additionalProperties: false,
+          properties: categoryProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const category = await models.Category.create(request.body);
+        fastify.log.info(
+          `Category ${category.id} created by user ${request.user.id}`
+        );
+        return reply.code(201).send({ success: true, data: category });
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "creating");
+      }
+    }
+  );
+
+  // Reorder categories: body { ids: [3, 1, 2] } sets display_order by index
+  fastify.put(
+    "/api/categories/order",
+    {
+      preHandler: adminGuards,
+      schema: {
+        body: {
+          type: "object",
+          required: ["ids"],
+          additionalProperties: false,
+          properties: {
+            ids: {
+              type: "array",
+              minItems: 1,
+              uniqueItems: true,
+              items: { type: "integer", minimum: 1 },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const categories = await models.Category.reorder(request.body.ids);
+        return { success: true, data: categories };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "reordering");
+      }
+    }
+  );
+
+  fastify.patch(
+    "/api/categories/:id",
+    {
+      preHandler: adminGuards,
+      schema: {
+        params: categoryIdParams,
+        body: {
+          type: "object",
+          minProperties: 1,
+          additionalProperties: false,
+          properties: categoryProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const category = await models.Category.update(
+          request.params.id,
+          request.body
+        );
+
+        if (!category) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Category not found" });
+        }
+
+        return { success: true, data: category };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "updating");
+      }
+    }
+  );
+
+  // Delete a category; one still in use needs ?reassign_to=<categoryId>
+  fastify.delete(
+    "/api/categories/:id",
+    {
+      preHandler: adminGuards,
+      schema: {
+        params: categoryIdParams,
+        querystring: {
+          type: "object",
+          properties: {
+            reassign_to: { type: "integer", minimum: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const result = await models.Category.remove(id, {
+          reassignTo: request.query.reassign_to,
+        });
+
+        if (!result) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Category not found" });
+        }
+
+        fastify.log.info(`Category ${id} deleted by user ${request.user.id}`);
+        return { success: true, message: "Category deleted", data: result };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "deleting");
+      }
+    }
+  );
+
+  // Merge a category into another: body { into: <categoryId> }
+  fastify.post(
+    "/api/categories/:id/merge",
+    {
+      preHandler: adminGuards,
+      schema: {
+        params: categoryIdParams,
+        body: {
+          type: "object",
+          required: ["into"],
+          additionalProperties: false,
+          properties: {
+            into: { type: "integer", minimum: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const result = await models.Category.merge(id, request.body.into);
+
+        if (!result) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Category not found" });
+        }
+
+        fastify.log.info(
+          `Category ${id} merged into ${request.body.into} by user ${request.user.id}`
+        );
+        return { success: true, data: result };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "merging");
+      }
+    }
+  );
 }
 
 export { registerCategoryRoutes };
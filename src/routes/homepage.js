@@ -0,0 +1,26 @@
+import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import { db } from "../config/database.js";
+import { HOMEPAGE } from "../config/homepage.js";
+import { getHomepage } from "../services/homepage.js";
+
+function registerHomepageRoutes(fastify) {
+  // Homepage composition: position groups, category rails and categories
+  fastify.get(
+    "/api/homepage",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const homepage = await getHomepage(db);
+        reply.header("Cache-Control", `public, max-age=${HOMEPAGE.cacheTtl}`);
+        return { success: true, data: homepage };
+      } catch (err) {
+        fastify.log.error(`Error building homepage: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+}
+
+export { registerHomepageRoutes };
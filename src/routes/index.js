@@ -1,6 +1,12 @@
 import { registerCategoryRoutes } from "./categories.js";
 import { registerArticleRoutes } from "./articles.js";
+import { registerRevisionRoutes } from "./revisions.js";
+import { registerTagRoutes } from "./tags.js";
+import { registerAuthorRoutes } from "./authors.js";
 import { registerPositionRoutes } from "./positions.js";
+import { registerHomepageRoutes } from "./homepage.js";
+import { registerSearchAnalyticsRoutes } from "./searchAnalytics.js";
+import { registerMediaRoutes } from "./media.js";
 import { registerAuthRoutes } from "./auth.js";
 import { registerWebSocketRoutes } from "./websocket.js";
 import { registerApiKeyRoutes } from "./apiKeys.js";
@@ -8,7 +14,13 @@ import { registerApiKeyRoutes } from "./apiKeys.js";
 function registerRoutes(fastify) {
   registerCategoryRoutes(fastify);
   registerArticleRoutes(fastify);
+  registerRevisionRoutes(fastify);
+  registerTagRoutes(fastify);
+  registerAuthorRoutes(fastify);
   registerPositionRoutes(fastify);
+  registerHomepageRoutes(fastify);
+  registerSearchAnalyticsRoutes(fastify);
+  registerMediaRoutes(fastify);
   registerAuthRoutes(fastify);
   registerWebSocketRoutes(fastify);
   registerApiKeyRoutes(fastify);
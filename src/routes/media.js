@@ -0,0 +1,267 @@
+import path from "path";
+import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import {
+  EDITORIAL_ROLES,
+  verifyUser,
+  requireRole,
+} from "../middleware/userAuth.js";
+import { models } from "../models/index.js";
+import { MEDIA } from "../config/media.js";
+import { imageUrl } from "../utils/siteUrls.js";
+import { getStorage } from "../services/storage.js";
+import { prepareUpload } from "../services/mediaUpload.js";
+
+const editorGuards = [
+  verifyApiKey,
+  verifyUser,
+  requireRole(...EDITORIAL_ROLES),
+];
+
+const metadataProperties = {
+  caption: { type: ["string", "null"], maxLength: 500 },
+  credit: { type: ["string", "null"], maxLength: 255 },
+  alt_text: { type: ["string", "null"], maxLength: 255 },
+};
+
+const idParams = {
+  type: "object",
+  required: ["id"],
+  properties: { id: { type: "integer", minimum: 1 } },
+};
+
+// Public URL of the file, served by /article_images like article images
+function withUrl(request, media) {
+  return {
+    ...media,
+    url: imageUrl(media.filename, `${request.protocol}://${request.host}`),
+  };
+}
+
+// Multipart fields are not covered by the JSON schema, so the metadata
+// limits are checked here. Values cut off at the multipart fieldSize
+// limit are rejected rather than stored truncated.
+function metadataError(fields, truncated) {
+  for (const [field, rule] of Object.entries(metadataProperties)) {
+    if (
+      truncated.has(field) ||
+      (fields[field] !== undefined && fields[field].length > rule.maxLength)
+    ) {
+      return `${field} must not exceed ${rule.maxLength} characters`;
+    }
+  }
+  return null;
+}
+
+function sendMediaError(fastify, reply, err, action) {
+  // Validation errors from prepareUpload and @fastify/multipart (size and
+  // part limits) carry their own status code
+  if (err.statusCode && err.statusCode < 500) {
+    return reply
+      .code(err.statusCode)
+      .send({ success: false, message: err.message });
+  }
+
+  fastify.log.error(`Error ${action} media: ${err.message}`);
+  return reply
+    .code(500)
+    .send({ success: false, message: "Internal server error" });
+}
+
+function registerMediaRoutes(fastify) {
+  // Upload an image (multipart/form-data: file, caption, credit, alt_text).
+  // Identical content maps to the same file, so re-uploads return the
+  // existing media item.
+  fastify.post(
+    "/api/media",
+    { preHandler: editorGuards },
+    async (request, reply) => {
+      if (!request.isMultipart()) {
+        return reply.code(415).send({
+          success: false,
+          message: "Request must be multipart/form-data",
+        });
+      }
+
+      try {
+        let upload = null;
+        const fields = {};
+        const truncated = new Set();
+
+        for await (const part of request.parts()) {
+          if (part.type === "file") {
+            if (part.fieldname === "file") {
+              upload = { data: await part.toBuffer(), name: part.filename };
+            } else {
+              part.file.resume();
+            }
+          } else if (metadataProperties[part.fieldname]) {
+            fields[part.fieldname] = String(part.value);
+            if (part.valueTruncated) {
+              truncated.add(part.fieldname);
+            }
+          }
+        }
+
+        if (!upload) {
+          return reply
+            .code(400)
+            .send({ success: false, message: "file is required" });
+        }
+
+        const invalid = metadataError(fields, truncated);
+        if (invalid) {
+          return reply.code(400).send({ success: false, message: invalid });
+        }
+
+        const prepared = await prepareUpload(upload.data);
+
+        const existing = await models.Media.findByFilename(prepared.filename);
+        if (existing) {
+          return {
+            success: true,
+            duplicate: true,
+            data: withUrl(request, existing),
+          };
+        }
+
+        const storage = await getStorage(fastify.log);
+        await storage.put(prepared.filename, prepared.data, prepared.mime_type);
+
+        let media;
+        try {
+          media = await models.Media.create({
+            ...prepared,
+            ...fields,
+            original_name:
+              path.basename(upload.name || "").slice(0, 255) ||
+              prepared.filename,
+            uploaded_by: request.user.id,
+          });
+        } catch (err) {
+          // The same file uploaded concurrently
+          if (err.code !== "ER_DUP_ENTRY") {
+            throw err;
+          }
+          return {
+            success: true,
+            duplicate: true,
+            data: withUrl(
+              request,
+              await models.Media.findByFilename(prepared.filename)
+            ),
+          };
+        }
+
+        return reply
+          .code(201)
+          .send({ success: true, data: withUrl(request, media) });
+      } catch (err) {
+        return sendMediaError(fastify, reply, err, "uploading");
+      }
+    }
+  );
+
+  // Media library for editors: newest first, searchable and paginated
+  fastify.get(
+    "/api/media",
+    {
+      preHandler: editorGuards,
+      schema: {
+        querystring: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            q: { type: "string", maxLength: 100 },
+            type: {
+              type: "string",
+              enum: [
+                "image/jpeg",
+                "image/png",
+                "image/gif",
+                "image/webp",
+                "image/avif",
+              ],
+            },
+            page: { type: "integer", minimum: 1 },
+            perPage: { type: "integer", minimum: 1, maximum: MEDIA.maxPerPage },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { media, pagination } = await models.Media.list({
+          search: request.query.q?.trim(),
+          type: request.query.type,
+          page: request.query.page,
+          perPage: request.query.perPage || MEDIA.perPage,
+        });
+
+        return {
+          success: true,
+          data: media.map((item) => withUrl(request, item)),
+          pagination,
+        };
+      } catch (err) {
+        return sendMediaError(fastify, reply, err, "listing");
+      }
+    }
+  );
+
+  fastify.get(
+    "/api/media/:id",
+    { preHandler: editorGuards, schema: { params: idParams } },
+    async (request, reply) => {
+      try {
+        const media = await models.Media.findById(request.params.id);
+
+        if (!media) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Media not found" });
+        }
+
+        return { success: true, data: withUrl(request, media) };
+      } catch (err) {
+        return sendMediaError(fastify, reply, err, "fetching");
+      }
+    }
+  );
+
+  // Update caption, credit and alt text (the file itself is immutable)
+  fastify.patch(
+    "/api/media/:id",
+    {
+      preHandler: editorGuards,
+      schema: {
+        params: idParams,
+        body: {
+          type: "object",
+          minProperties: 1,
+          additionalProperties: false,
+          properties: metadataProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const media = await models.Media.update(
+          request.params.id,
+          request.body
+        );
+
+        if (!media) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Media not found" });
+        }
+
+        return { success: true, data: withUrl(request, media) };
+      } catch (err) {
+        return sendMediaError(fastify, reply, err, "updating");
+      }
+    }
+  );
+}
+
+export { registerMediaRoutes };
@@ -1,15 +1,90 @@
 import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import {
+  ROLES,
+  isEditorialUser,
+  verifyUser,
+  optionalUser,
+  requireRole,
+} from "../middleware/userAuth.js";
+import { POSITIONS, isValidPosition } from "../config/positions.js";
 import { models } from "../models/index.js";
+import { db } from "../config/database.js";
+import { invalidateHomepage } from "../services/homepage.js";
+
+const placementProperties = {
+  article_id: { type: "integer", minimum: 1 },
+  category_id: { type: "integer", minimum: 1 },
+  position: { type: "string", minLength: 1, maxLength: 50 },
+  slot_order: { type: "integer", minimum: 0 },
+  starts_at: { type: ["string", "null"], format: "date-time" },
+  ends_at: { type: ["string", "null"], format: "date-time" },
+};
+
+const placementIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+  },
+};
+
+const editorGuards = [
+  verifyApiKey,
+  verifyUser,
+  requireRole(ROLES.ADMIN, ROLES.EDITOR),
+];
+
+function sendModelError(fastify, reply, err, action) {
+  if (err.statusCode) {
+    return reply
+      .code(err.statusCode)
+      .send({ success: false, message: err.message });
+  }
+
+  fastify.log.error(`Error ${action} placement: ${err.message}`);
+  return reply
+    .code(500)
+    .send({ success: false, message: "Internal server error" });
+}
 
 function registerPositionRoutes(fastify) {
+  // Position registry with capacities and current usage
+  fastify.get(
+    "/api/positions",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const positions = await models.ArticlePosition.getRegistry();
+        return { success: true, data: positions };
+      } catch (err) {
+        fastify.log.error(`Error fetching positions: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
   // Article positions API
   fastify.get(
     "/api/positions/:position",
-    { preHandler: verifyApiKey },
+    { preHandler: [verifyApiKey, optionalUser] },
     async (request, reply) => {
       try {
         const { position } = request.params;
-        const articles = await models.ArticlePosition.getByPosition(position);
+
+        if (!isValidPosition(position)) {
+          return reply.code(400).send({
+            success: false,
+            message: `Invalid position. Valid positions: ${Object.keys(
+              POSITIONS
+            ).join(", ")}`,
+          });
+        }
+
+        const articles = await models.ArticlePosition.getByPosition(position, {
+          includeUnpublished: isEditorialUser(request.user),
+        });
 
         return { success: true, data: articles };
       } catch (err) {
@@ -20,6 +95,187 @@ function registerPositionRoutes(fastify) {
       }
     }
   );
+
+  // Placement management API
+  fastify.post(
+    "/api/placements",
+    {
+      preHandler: editorGuards,
+      schema: {
+        body: {
+          type: "object",
+          required: ["article_id", "category_id", "position"],
+          additionalProperties: false,
+          properties: placementProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const placement = await models.ArticlePosition.create(
+          request.body,
+          request.user
+        );
+        fastify.log.info(
+          `Placement ${placement.id} created by user ${request.user.id}`
+        );
+        invalidateHomepage(db);
+        return reply.code(201).send({ success: true, data: placement });
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "creating");
+      }
+    }
+  );
+
+  // Placement history: what occupied a position at a moment (?at=), or
+  // the latest periods of a position when no moment is given
+  fastify.get(
+    "/api/placements/history",
+    {
+      preHandler: editorGuards,
+      schema: {
+        querystring: {
+          type: "object",
+          required: ["position"],
+          properties: {
+            position: placementProperties.position,
+            category_id: placementProperties.category_id,
+            at: { type: "string", format: "date-time" },
+            page: { type: "integer", minimum: 1 },
+            perPage: { type: "integer", minimum: 1, maximum: 100 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { position, category_id, at, page, perPage } = request.query;
+
+        if (!isValidPosition(position)) {
+          return reply.code(400).send({
+            success: false,
+            message: `Invalid position. Valid positions: ${Object.keys(
+              POSITIONS
+            ).join(", ")}`,
+          });
+        }
+
+        const history = at
+          ? await models.PlacementHistory.getAt(
+              position,
+              new Date(at),
+              category_id
+            )
+          : await models.PlacementHistory.list(position, {
+              categoryId: category_id,
+              page,
+              perPage,
+            });
+
+        return { success: true, data: history };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "fetching history of");
+      }
+    }
+  );
+
+  // Reorder one position: body { position, category_id, ids: [...] }
+  fastify.put(
+    "/api/placements/order",
+    {
+      preHandler: editorGuards,
+      schema: {
+        body: {
+          type: "object",
+          required: ["position", "category_id", "ids"],
+          additionalProperties: false,
+          properties: {
+            position: placementProperties.position,
+            category_id: placementProperties.category_id,
+            ids: {
+              type: "array",
+              uniqueItems: true,
+              items: { type: "integer", minimum: 1 },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { position, category_id, ids } = request.body;
+        const placements = await models.ArticlePosition.reorder(
+          position,
+          category_id,
+          ids,
+          request.user
+        );
+        invalidateHomepage(db);
+        return { success: true, data: placements };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "reordering");
+      }
+    }
+  );
+
+  fastify.patch(
+    "/api/placements/:id",
+    {
+      preHandler: editorGuards,
+      schema: {
+        params: placementIdParams,
+        body: {
+          type: "object",
+          minProperties: 1,
+          additionalProperties: false,
+          properties: placementProperties,
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const placement = await models.ArticlePosition.update(
+          request.params.id,
+          request.body,
+          request.user
+        );
+
+        if (!placement) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Placement not found" });
+        }
+
+        invalidateHomepage(db);
+        return { success: true, data: placement };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "updating");
+      }
+    }
+  );
+
+  fastify.delete(
+    "/api/placements/:id",
+    { preHandler: editorGuards, schema: { params: placementIdParams } },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const deleted = await models.ArticlePosition.remove(id, request.user);
+
+        if (!deleted) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Placement not found" });
+        }
+
+        invalidateHomepage(db);
+        fastify.log.info(`Placement ${id} deleted by user ${request.user.id}`);
+        return { success: true, message: "Placement deleted" };
+      } catch (err) {
+        return sendModelError(fastify, reply, err, "deleting");
+      }
+    }
+  );
 }
 
 export { registerPositionRoutes };
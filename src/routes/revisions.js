@@ -0,0 +1,167 @@
+import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import {
+  ROLES,
+  EDITORIAL_ROLES,
+  verifyUser,
+  requireRole,
+} from "../middleware/userAuth.js";
+import { models } from "../models/index.js";
+
+const revisionParams = {
+  type: "object",
+  required: ["id", "revId"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+    revId: { type: "integer", minimum: 1 },
+  },
+};
+
+const articleIdParams = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+  },
+};
+
+const readGuards = [verifyApiKey, verifyUser, requireRole(...EDITORIAL_ROLES)];
+
+function registerRevisionRoutes(fastify) {
+  // Article revision history API
+  fastify.get(
+    "/api/articles/:id/revisions",
+    { preHandler: readGuards, schema: { params: articleIdParams } },
+    async (request, reply) => {
+      try {
+        const revisions = await models.ArticleRevision.listByArticle(
+          request.params.id
+        );
+        return { success: true, data: revisions };
+      } catch (err) {
+        fastify.log.error(`Error fetching revisions: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  // Compare two revisions: GET /api/articles/:id/revisions/diff?from=1&to=2
+  fastify.get(
+    "/api/articles/:id/revisions/diff",
+    {
+      preHandler: readGuards,
+      schema: {
+        params: articleIdParams,
+        querystring: {
+          type: "object",
+          required: ["from", "to"],
+          properties: {
+            from: { type: "integer", minimum: 1 },
+            to: { type: "integer", minimum: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const { from, to } = request.query;
+        const [fromRevision, toRevision] = await Promise.all([
+          models.ArticleRevision.findById(id, from),
+          models.ArticleRevision.findById(id, to),
+        ]);
+
+        if (!fromRevision || !toRevision) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Revision not found" });
+        }
+
+        return {
+          success: true,
+          data: {
+            from: fromRevision.id,
+            to: toRevision.id,
+            fields: models.ArticleRevision.diff(fromRevision, toRevision),
+          },
+        };
+      } catch (err) {
+        fastify.log.error(`Error comparing revisions: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.get(
+    "/api/articles/:id/revisions/:revId",
+    { preHandler: readGuards, schema: { params: revisionParams } },
+    async (request, reply) => {
+      try {
+        const { id, revId } = request.params;
+        const revision = await models.ArticleRevision.findById(id, revId);
+
+        if (!revision) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Revision not found" });
+        }
+
+        return { success: true, data: revision };
+      } catch (err) {
+        fastify.log.error(`Error fetching revision: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.post(
+    "/api/articles/:id/revisions/:revId/restore",
+    {
+      preHandler: [
+        verifyApiKey,
+        verifyUser,
+        requireRole(ROLES.ADMIN, ROLES.EDITOR),
+      ],
+      schema: { params: revisionParams },
+    },
+    async (request, reply) => {
+      try {
+        const { id, revId } = request.params;
+        const article = await models.Article.restoreRevision(
+          id,
+          revId,
+          request.user
+        );
+
+        if (!article) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Revision not found" });
+        }
+
+        fastify.log.info(
+          `Article ${id} restored to revision ${revId} by user ${request.user.id}`
+        );
+        return { success: true, data: article };
+      } catch (err) {
+        if (err.statusCode) {
+          return reply
+            .code(err.statusCode)
+            .send({ success: false, message: err.message });
+        }
+
+        fastify.log.error(`Error restoring revision: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+}
+
+export { registerRevisionRoutes };
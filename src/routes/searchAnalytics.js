@@ -0,0 +1,95 @@
+import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import { ROLES, verifyUser, requireRole } from "../middleware/userAuth.js";
+import { models } from "../models/index.js";
+
+const adminGuards = [verifyApiKey, verifyUser, requireRole(ROLES.ADMIN)];
+
+const endpointProperty = {
+  type: "string",
+  enum: ["search", "advanced", "faceted", "suggestions"],
+};
+
+const rangeQuerystring = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    from: { type: "string", format: "date-time" },
+    to: { type: "string", format: "date-time" },
+    endpoint: endpointProperty,
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+  },
+};
+
+function registerSearchAnalyticsRoutes(fastify) {
+  // Most searched terms in a time window (default: last 7 days)
+  fastify.get(
+    "/api/admin/search/top",
+    { preHandler: adminGuards, schema: { querystring: rangeQuerystring } },
+    async (request, reply) => {
+      try {
+        const rows = await models.SearchQuery.getTopQueries(request.query);
+        return { success: true, data: rows };
+      } catch (err) {
+        fastify.log.error(`Error fetching top searches: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  // Terms that returned nothing, i.e. content or synonym gaps
+  fastify.get(
+    "/api/admin/search/zero-results",
+    { preHandler: adminGuards, schema: { querystring: rangeQuerystring } },
+    async (request, reply) => {
+      try {
+        const rows = await models.SearchQuery.getZeroResultQueries(
+          request.query
+        );
+        return { success: true, data: rows };
+      } catch (err) {
+        fastify.log.error(
+          `Error fetching zero-result searches: ${err.message}`
+        );
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  // Terms growing fastest over the last `hours` compared to the span before
+  fastify.get(
+    "/api/admin/search/trending",
+    {
+      preHandler: adminGuards,
+      schema: {
+        querystring: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            hours: { type: "integer", minimum: 1, maximum: 720 },
+            minSearches: { type: "integer", minimum: 1 },
+            to: { type: "string", format: "date-time" },
+            endpoint: endpointProperty,
+            limit: { type: "integer", minimum: 1, maximum: 100 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const rows = await models.SearchQuery.getTrending(request.query);
+        return { success: true, data: rows };
+      } catch (err) {
+        fastify.log.error(`Error fetching trending searches: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+}
+
+export { registerSearchAnalyticsRoutes };
@@ -0,0 +1,76 @@
+import { verifyApiKey } from "../middleware/apiKeyAuth.js";
+import { isEditorialUser, optionalUser } from "../middleware/userAuth.js";
+import { models } from "../models/index.js";
+
+function registerTagRoutes(fastify) {
+  // Tags API
+  fastify.get(
+    "/api/tags",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const tags = await models.Tag.getAll();
+        return { success: true, data: tags };
+      } catch (err) {
+        fastify.log.error(`Error fetching tags: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.get(
+    "/api/tags/:slug",
+    { preHandler: verifyApiKey },
+    async (request, reply) => {
+      try {
+        const tag = await models.Tag.findBySlug(request.params.slug);
+
+        if (!tag) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Tag not found" });
+        }
+
+        return { success: true, data: tag };
+      } catch (err) {
+        fastify.log.error(`Error fetching tag: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+
+  fastify.get(
+    "/api/tags/:slug/articles",
+    { preHandler: [verifyApiKey, optionalUser] },
+    async (request, reply) => {
+      try {
+        const tag = await models.Tag.findBySlug(request.params.slug);
+
+        if (!tag) {
+          return reply
+            .code(404)
+            .send({ success: false, message: "Tag not found" });
+        }
+
+        const { articles, pagination } = await models.Tag.getArticles(tag.id, {
+          page: request.query.page,
+          perPage: request.query.perPage,
+          includeUnpublished: isEditorialUser(request.user),
+        });
+
+        return { success: true, tag, articles, pagination };
+      } catch (err) {
+        fastify.log.error(`Error fetching tag articles: ${err.message}`);
+        return reply
+          .code(500)
+          .send({ success: false, message: "Internal server error" });
+      }
+    }
+  );
+}
+
+export { registerTagRoutes };
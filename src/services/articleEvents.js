@@ -0,0 +1,10 @@
+/**
+ * Notifikasi perubahan artikel di dalam proses
+ * Dipakai oleh cache dan indeks yang harus mengikuti tabel articles.
+ * Event: "changed" (id artikel) dan "removed" (id artikel)
+ */
+import { EventEmitter } from "events";
+
+const articleEvents = new EventEmitter();
+
+export { articleEvents };
@@ -0,0 +1,425 @@
+/**
+ * Modul autocomplete di dalam proses untuk /api/suggestions
+ * Indeks prefiks (array kunci terurut + binary search) atas judul artikel
+ * terbit, nama tag dan nama kategori. Setiap kata dalam label menjadi awal
+ * sebuah kunci, sehingga "beras" juga menemukan "Harga beras naik".
+ * Peringkat memakai kualitas kecocokan, jenis, bobot dasar (kebaruan
+ * artikel, jumlah artikel tag) dan popularitas kata dari pencarian terakhir.
+ */
+import { SEARCH } from "../config/search.js";
+
+const MAX_KEY_LENGTH = 60;
+// Prefiks sampai panjang ini mengambil kandidat artikel dari daftar
+// berurut bobot, bukan dari urutan abjad kunci
+const RANKED_PREFIX_LENGTH = 3;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Menyeragamkan teks untuk pencocokan: huruf kecil, tanpa diakritik dan
+ * tanda baca, spasi tunggal
+ *
+ * @param {string} text - Teks asal
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Kunci untuk setiap awal kata: "harga beras naik" → "harga beras naik",
+// "beras naik", "naik"
+function keysOf(label) {
+  const text = normalize(label);
+  const keys = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (i === 0 || text[i - 1] === " ") {
+      keys.push(text.slice(i, i + MAX_KEY_LENGTH));
+    }
+  }
+
+  return keys;
+}
+
+// Prefiks pendek (1..RANKED_PREFIX_LENGTH huruf) dari kunci-kunci sebuah entri
+function rankedPrefixesOf(keys) {
+  const prefixes = new Set();
+
+  for (const key of keys) {
+    for (let length = 1; length <= RANKED_PREFIX_LENGTH; length++) {
+      prefixes.add(key.slice(0, length));
+    }
+  }
+
+  return prefixes;
+}
+
+/**
+ * Membuat autocomplete di atas koneksi database tertentu
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @returns {Object} Autocomplete dengan method warm, refresh, upsert,
+ *   remove, recordSearch, suggest dan watch
+ */
+function createAutocomplete(db) {
+  const config = SEARCH.autocomplete;
+  // "type:id" -> { type, id, label, slug, weight, text, keys }
+  const entries = new Map();
+  // Per jenis, per huruf pertama: [kunci, "type:id"] terurut menurut kunci,
+  // agar splice saat memperbarui satu entri hanya menggeser satu bagian.
+  // Kategori dan tag diperiksa seluruhnya, artikel dibatasi scanLimit.
+  const keys = { category: new Map(), tag: new Map(), article: new Map() };
+  // Prefiks pendek -> ["article:id"] terurut menurut bobot (terbesar dulu).
+  // Untuk "p" rentang kuncinya terlalu besar, sehingga scanLimit dalam
+  // urutan abjad hanya akan melihat artikel "pa…".
+  const ranked = new Map();
+  // kata -> { score, at } dengan peluruhan eksponensial
+  const popularity = new Map();
+
+  const halfLife = config.popularityHalfLife * 60 * 60 * 1000;
+
+  const decayed = (record, now) =>
+    record ? record.score * Math.pow(0.5, (now - record.at) / halfLife) : 0;
+
+  // Posisi pertama dengan kunci >= prefix
+  const lowerBound = (list, prefix) => {
+    let low = 0;
+    let high = list.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (list[middle][0] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  };
+
+  const bucketOf = (type, key) => {
+    if (!keys[type].has(key[0])) {
+      keys[type].set(key[0], []);
+    }
+    return keys[type].get(key[0]);
+  };
+
+  // Posisi pertama dengan bobot < weight dalam daftar berurut bobot
+  const rankBound = (list, weight) => {
+    let low = 0;
+    let high = list.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (entries.get(list[middle]).weight >= weight) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  };
+
+  const toEntry = (type, row, weight) => {
+    const label = type === "article" ? row.title : row.name;
+    const text = normalize(label);
+    return {
+      type,
+      id: row.id,
+      label,
+      slug: row.slug,
+      weight,
+      text,
+      keys: keysOf(label),
+    };
+  };
+
+  // Bobot dasar artikel: 1 untuk artikel hari ini, meluruh per 30 hari
+  const articleWeight = (row) =>
+    Math.pow(
+      0.5,
+      Math.max(0, Date.now() - new Date(row.date_published || 0)) / (30 * DAY)
+    );
+
+  const autocomplete = {
+    ready: false,
+
+    get size() {
+      return entries.size;
+    },
+
+    // Memuat ulang seluruh entri dari database dan membangun ulang kunci
+    async warm() {
+      const [articles, tags, categories] = await Promise.all([
+        db("articles")
+          .select("id", "title", "slug", "date_published")
+          .where("status", "published"),
+        db("tags")
+          .select("tags.id", "tags.name", "tags.slug")
+          .count("articles.id as article_count")
+          .leftJoin("article_tags", "tags.id", "article_tags.tag_id")
+          .leftJoin("articles", function () {
+            this.on("articles.id", "article_tags.article_id").andOnVal(
+              "articles.status",
+              "published"
+            );
+          })
+          .groupBy("tags.id", "tags.name", "tags.slug"),
+        db("categories").select("id", "name", "slug"),
+      ]);
+
+      const next = new Map();
+      for (const row of articles) {
+        next.set(
+          `article:${row.id}`,
+          toEntry("article", row, articleWeight(row))
+        );
+      }
+      for (const row of tags) {
+        next.set(
+          `tag:${row.id}`,
+          toEntry("tag", row, Math.log1p(Number(row.article_count)))
+        );
+      }
+      for (const row of categories) {
+        next.set(`category:${row.id}`, toEntry("category", row, 1));
+      }
+
+      entries.clear();
+      ranked.clear();
+      for (const buckets of Object.values(keys)) {
+        buckets.clear();
+      }
+      for (const [key, entry] of next) {
+        entries.set(key, entry);
+        for (const k of entry.keys) {
+          bucketOf(entry.type, k).push([k, key]);
+        }
+
+        if (entry.type === "article") {
+          for (const prefix of rankedPrefixesOf(entry.keys)) {
+            if (!ranked.has(prefix)) {
+              ranked.set(prefix, []);
+            }
+            ranked.get(prefix).push(key);
+          }
+        }
+      }
+      for (const buckets of Object.values(keys)) {
+        for (const list of buckets.values()) {
+          list.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+        }
+      }
+      for (const list of ranked.values()) {
+        list.sort((a, b) => entries.get(b).weight - entries.get(a).weight);
+      }
+
+      this.ready = true;
+      return entries.size;
+    },
+
+    // Menambah atau mengganti satu entri tanpa membangun ulang semua kunci
+    upsert(type, row, weight = 1) {
+      const key = `${type}:${row.id}`;
+      this.remove(type, row.id);
+
+      const entry = toEntry(
+        type,
+        row,
+        type === "article" ? articleWeight(row) : weight
+      );
+      entries.set(key, entry);
+
+      for (const k of entry.keys) {
+        const list = bucketOf(type, k);
+        list.splice(lowerBound(list, k), 0, [k, key]);
+      }
+
+      if (type === "article") {
+        for (const prefix of rankedPrefixesOf(entry.keys)) {
+          if (!ranked.has(prefix)) {
+            ranked.set(prefix, []);
+          }
+          const prefixList = ranked.get(prefix);
+          prefixList.splice(rankBound(prefixList, entry.weight), 0, key);
+        }
+      }
+    },
+
+    // Menghapus satu entri lewat kunci-kuncinya sendiri, tanpa memeriksa
+    // seluruh daftar
+    remove(type, id) {
+      const key = `${type}:${id}`;
+      const entry = entries.get(key);
+      if (!entry) {
+        return;
+      }
+
+      for (const k of entry.keys) {
+        const list = bucketOf(type, k);
+        let i = lowerBound(list, k);
+        while (i < list.length && list[i][0] === k && list[i][1] !== key) {
+          i++;
+        }
+        if (i < list.length && list[i][1] === key) {
+          list.splice(i, 1);
+        }
+      }
+
+      if (type === "article") {
+        for (const prefix of rankedPrefixesOf(entry.keys)) {
+          // Entri berbobot sama berada tepat sebelum rankBound
+          const prefixList = ranked.get(prefix);
+          let i = rankBound(prefixList, entry.weight) - 1;
+          while (prefixList[i] !== key) {
+            i--;
+          }
+          prefixList.splice(i, 1);
+          if (prefixList.length === 0) {
+            ranked.delete(prefix);
+          }
+        }
+      }
+
+      entries.delete(key);
+    },
+
+    // Memperbarui satu artikel: terbit → masuk indeks, selain itu keluar
+    async refreshArticle(id) {
+      const row = await db("articles")
+        .select("id", "title", "slug", "date_published", "status")
+        .where("id", id)
+        .first();
+
+      if (row && row.status === "published") {
+        this.upsert("article", row);
+      } else {
+        this.remove("article", Number(id));
+      }
+    },
+
+    // Ikuti event articleEvents dari model Article di proses yang sama
+    watch(events) {
+      events.on("changed", (id) => {
+        this.refreshArticle(id).catch((err) =>
+          console.error(
+            `Error refreshing autocomplete for article ${id}: ${err.message}`
+          )
+        );
+      });
+      events.on("removed", (id) => this.remove("article", Number(id)));
+    },
+
+    // Mencatat kata-kata dari sebuah pencarian sebagai sinyal popularitas
+    recordSearch(query, now = Date.now()) {
+      for (const word of new Set(normalize(query).split(" "))) {
+        if (word.length < 2) {
+          continue;
+        }
+
+        popularity.set(word, {
+          score: decayed(popularity.get(word), now) + 1,
+          at: now,
+        });
+      }
+
+      // Buang kata dengan bobot terkecil bila sudah melebihi batas
+      if (popularity.size > config.maxPopularTerms) {
+        const sorted = [...popularity].sort(
+          (a, b) => decayed(a[1], now) - decayed(b[1], now)
+        );
+        for (const [word] of sorted.slice(
+          0,
+          popularity.size - config.maxPopularTerms
+        )) {
+          popularity.delete(word);
+        }
+      }
+    },
+
+    /**
+     * Saran untuk teks yang sedang diketik
+     *
+     * @param {string} query - Teks yang diketik
+     * @param {Object} options - { limit, types }
+     * @returns {Array<Object>} [{ type, id, label, slug, score }]
+     */
+    suggest(query, options = {}) {
+      const prefix = normalize(query);
+      const limit = options.limit || 10;
+      const now = Date.now();
+
+      if (!prefix) {
+        return [];
+      }
+
+      // Kumpulkan kandidat: kecocokan di awal label lebih baik dari awal kata
+      const candidates = new Map();
+      for (const [type, buckets] of Object.entries(keys)) {
+        if (options.types && !options.types.includes(type)) {
+          continue;
+        }
+
+        const consider = (entryKey) => {
+          const quality = entries.get(entryKey).text.startsWith(prefix) ? 2 : 1;
+          if ((candidates.get(entryKey) || 0) < quality) {
+            candidates.set(entryKey, quality);
+          }
+        };
+
+        // Prefiks pendek: artikel dengan bobot terbesar lebih dulu
+        if (type === "article" && prefix.length <= RANKED_PREFIX_LENGTH) {
+          (ranked.get(prefix) || [])
+            .slice(0, config.scanLimit)
+            .forEach(consider);
+          continue;
+        }
+
+        const list = buckets.get(prefix[0]) || [];
+        const start = lowerBound(list, prefix);
+        const end =
+          type === "article"
+            ? Math.min(list.length, start + config.scanLimit)
+            : list.length;
+
+        for (let i = start; i < end && list[i][0].startsWith(prefix); i++) {
+          consider(list[i][1]);
+        }
+      }
+
+      const results = [];
+      for (const [entryKey, quality] of candidates) {
+        const entry = entries.get(entryKey);
+
+        const popular = entry.text
+          .split(" ")
+          .reduce((sum, word) => sum + decayed(popularity.get(word), now), 0);
+        const score =
+          (quality + entry.weight + Math.log1p(popular)) *
+          config.typeWeights[entry.type];
+
+        results.push({
+          type: entry.type,
+          id: entry.id,
+          label: entry.label,
+          slug: entry.slug,
+          score,
+        });
+      }
+
+      return results
+        .sort((a, b) => b.score - a.score || a.label.length - b.label.length)
+        .slice(0, limit);
+    },
+  };
+
+  return autocomplete;
+}
+
+export { createAutocomplete, normalize };
@@ -0,0 +1,191 @@
+/**
+ * Modul komposisi halaman depan
+ * Menggabungkan semua grup posisi, rail artikel terbaru per kategori dan
+ * daftar kategori dalam satu respons dengan jumlah query yang tetap (3)
+ */
+import { HOMEPAGE } from "../config/homepage.js";
+import { POSITIONS } from "../config/positions.js";
+import { descendantIdsOf } from "../utils/categoryTree.js";
+
+const cardColumns = [
+  "a.id",
+  "a.title",
+  "a.slug",
+  "a.description",
+  "a.image_url",
+  "a.date_published",
+  "a.category_id",
+];
+
+// Cache per koneksi database: { value, expiresAt, pending }
+const caches = new WeakMap();
+
+/**
+ * Menentukan rail yang ditampilkan beserta kategori yang dicakup tiap rail
+ * (kategori rail dan seluruh subkategorinya)
+ *
+ * @param {Array<Object>} categories - Daftar kategori datar
+ * @returns {Array<Object>} Rail dengan category, limit dan categoryIds
+ */
+function resolveRails(categories) {
+  const bySlug = new Map(
+    categories.map((category) => [category.slug, category])
+  );
+  const configured = HOMEPAGE.rails.length
+    ? HOMEPAGE.rails
+        .filter((rail) => bySlug.has(rail.slug))
+        .map((rail) => ({ category: bySlug.get(rail.slug), limit: rail.limit }))
+    : categories
+        .filter((category) => !category.parent_id)
+        .map((category) => ({ category, limit: HOMEPAGE.railSize }));
+
+  return configured.map((rail) => ({
+    ...rail,
+    categoryIds: descendantIdsOf(categories, rail.category.id),
+  }));
+}
+
+/**
+ * Membangun data halaman depan langsung dari database
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @param {Date} now - Waktu acuan untuk jendela tayang penempatan
+ * @returns {Object} Objek berisi positions, rails dan categories
+ */
+async function composeHomepage(db, now = new Date()) {
+  // Query 1: daftar kategori
+  const categories = await db("categories")
+    .select("id", "name", "slug", "parent_id", "display_order")
+    .orderBy("display_order")
+    .orderBy("name");
+
+  // Query 2: semua penempatan aktif untuk semua posisi
+  const placements = await db("article_positions as ap")
+    .select(
+      ...cardColumns,
+      "ap.id as placement_id",
+      "ap.position",
+      "ap.slot_order",
+      "ap.category_id as placement_category_id",
+      "c.name as category_name",
+      "c.slug as category_slug"
+    )
+    .join("articles as a", "ap.article_id", "a.id")
+    .join("categories as c", "a.category_id", "c.id")
+    .whereIn("ap.position", Object.keys(POSITIONS))
+    .where("a.status", "published")
+    .where((builder) =>
+      builder.whereNull("ap.starts_at").orWhere("ap.starts_at", "<=", now)
+    )
+    .where((builder) =>
+      builder.whereNull("ap.ends_at").orWhere("ap.ends_at", ">", now)
+    )
+    .orderBy("ap.position")
+    .orderBy("ap.slot_order")
+    .orderBy("a.date_published", "desc");
+
+  const positions = Object.fromEntries(
+    Object.keys(POSITIONS).map((name) => [name, []])
+  );
+  for (const placement of placements) {
+    positions[placement.position].push(placement);
+  }
+
+  // Query 3: artikel terbaru per kategori. Tiap kategori dibatasi oleh
+  // limit terbesar dari rail yang mencakupnya, lalu digabung per rail.
+  const rails = resolveRails(categories);
+  const limitByCategory = new Map();
+  for (const rail of rails) {
+    for (const id of rail.categoryIds) {
+      limitByCategory.set(
+        id,
+        Math.max(limitByCategory.get(id) || 0, rail.limit)
+      );
+    }
+  }
+
+  let latest = [];
+  if (limitByCategory.size > 0) {
+    const ranked = db("articles as a")
+      .select(
+        ...cardColumns,
+        db.raw(
+          "ROW_NUMBER() OVER (PARTITION BY a.category_id ORDER BY a.date_published DESC, a.id DESC) AS rn"
+        )
+      )
+      .where("a.status", "published")
+      .whereIn("a.category_id", [...limitByCategory.keys()]);
+
+    latest = await db
+      .select("*")
+      .from(ranked.as("ranked"))
+      .where("rn", "<=", Math.max(...limitByCategory.values()))
+      .orderBy("date_published", "desc")
+      .orderBy("id", "desc");
+  }
+
+  return {
+    positions,
+    rails: rails.map((rail) => {
+      const ids = new Set(rail.categoryIds);
+      return {
+        category: {
+          id: rail.category.id,
+          name: rail.category.name,
+          slug: rail.category.slug,
+        },
+        articles: latest
+          .filter(
+            (article) =>
+              ids.has(article.category_id) &&
+              article.rn <= limitByCategory.get(article.category_id)
+          )
+          .slice(0, rail.limit)
+          .map(({ rn, ...article }) => article),
+      };
+    }),
+    categories,
+    generated_at: now.toISOString(),
+  };
+}
+
+/**
+ * Mengambil data halaman depan dari cache, atau membangunnya jika cache
+ * sudah kadaluarsa. Permintaan bersamaan berbagi satu proses pembangunan.
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @returns {Promise<Object>} Data halaman depan
+ */
+async function getHomepage(db) {
+  const cache = caches.get(db) || {};
+  caches.set(db, cache);
+
+  if (cache.value && cache.expiresAt > Date.now()) {
+    return cache.value;
+  }
+
+  if (!cache.pending) {
+    cache.pending = composeHomepage(db)
+      .then((value) => {
+        cache.value = value;
+        cache.expiresAt = Date.now() + HOMEPAGE.cacheTtl * 1000;
+        return value;
+      })
+      .finally(() => {
+        cache.pending = null;
+      });
+  }
+
+  return cache.pending;
+}
+
+/**
+ * Menghapus cache halaman depan, misalnya setelah penempatan berubah
+ *
+ * @param {Object} db - Koneksi database (knex)
+ */
+function invalidateHomepage(db) {
+  caches.delete(db);
+}
+
+export { getHomepage, composeHomepage, invalidateHomepage };
@@ -0,0 +1,232 @@
+/**
+ * Modul varian gambar artikel
+ * Mengubah ukuran/format gambar sesuai preset yang diizinkan dan menyimpan
+ * hasilnya di cache disk. Kunci cache memuat lokasi, ukuran dan mtime file
+ * sumber, sehingga gambar yang diganti otomatis mendapat varian baru.
+ */
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import sharp from "sharp";
+import { IMAGES } from "../config/images.js";
+
+const CONTENT_TYPES = {
+  webp: "image/webp",
+  avif: "image/avif",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+
+const VARIANT_PARAMS = [
+  "preset",
+  "width",
+  "height",
+  "fit",
+  "quality",
+  "format",
+];
+
+// Varian yang sedang dibuat, agar permintaan bersamaan tidak membuat ulang
+const pending = new Map();
+
+function describePresets() {
+  return Object.entries(IMAGES.presets)
+    .map(
+      ([name, preset]) =>
+        `${name} (${preset.width || "auto"}x${preset.height || "auto"}, ${
+          preset.fit
+        })`
+    )
+    .join(", ");
+}
+
+function parseDimension(value) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : NaN;
+}
+
+/**
+ * Membaca parameter varian dari query string
+ *
+ * @param {Object} query - request.query
+ * @returns {Object} { variant } (null bila gambar asli yang diminta) atau
+ *   { error } bila parameter tidak diizinkan
+ */
+function parseVariantQuery(query = {}) {
+  if (!VARIANT_PARAMS.some((param) => query[param] !== undefined)) {
+    return { variant: null };
+  }
+
+  let size = { width: null, height: null, fit: null };
+
+  if (query.preset !== undefined) {
+    if (
+      query.width !== undefined ||
+      query.height !== undefined ||
+      query.fit !== undefined
+    ) {
+      return {
+        error: "Parameter preset tidak dapat digabung dengan width/height/fit",
+      };
+    }
+
+    size = IMAGES.presets[query.preset];
+    if (!size) {
+      return {
+        error: `Preset tidak dikenal. Preset yang tersedia: ${describePresets()}`,
+      };
+    }
+  } else if (query.width !== undefined || query.height !== undefined) {
+    const width = parseDimension(query.width);
+    const height = parseDimension(query.height);
+
+    if (Number.isNaN(width) || Number.isNaN(height)) {
+      return { error: "width dan height harus berupa bilangan bulat positif" };
+    }
+
+    const fit = query.fit || (width && height ? "cover" : "inside");
+    if (!IMAGES.fits.includes(fit)) {
+      return { error: `fit harus salah satu dari: ${IMAGES.fits.join(", ")}` };
+    }
+
+    // Ukuran bebas hanya diterima bila sama dengan salah satu preset
+    size = Object.values(IMAGES.presets).find(
+      (preset) =>
+        preset.width === width && preset.height === height && preset.fit === fit
+    );
+    if (!size) {
+      return {
+        error: `Ukuran gambar tidak diizinkan. Ukuran yang tersedia: ${describePresets()}`,
+      };
+    }
+  } else if (query.fit !== undefined) {
+    return { error: "fit membutuhkan width/height atau preset" };
+  }
+
+  if (query.format !== undefined && !IMAGES.formats.includes(query.format)) {
+    return {
+      error: `format harus salah satu dari: ${IMAGES.formats.join(", ")}`,
+    };
+  }
+
+  let quality = null;
+  if (query.quality !== undefined) {
+    quality = Number(query.quality);
+    if (!IMAGES.qualities.includes(quality)) {
+      return {
+        error: `quality harus salah satu dari: ${IMAGES.qualities.join(", ")}`,
+      };
+    }
+  }
+
+  return {
+    variant: {
+      width: size.width,
+      height: size.height,
+      fit: size.fit,
+      quality,
+      format: query.format || null,
+    },
+  };
+}
+
+// Tanpa parameter format, format sumber dipertahankan bila didukung
+function defaultFormat(sourceName) {
+  const ext = path.extname(sourceName).toLowerCase().slice(1);
+  if (ext === "jpg" || ext === "jpeg") {
+    return "jpeg";
+  }
+  return CONTENT_TYPES[ext] ? ext : "jpeg";
+}
+
+async function render(source, cachePath, options) {
+  const { width, height, fit, quality, format } = options;
+  const tempPath = `${cachePath}.${process.pid}.${Date.now()}.tmp`;
+
+  // rotate() tanpa argumen mengikuti orientasi EXIF sebelum metadata dibuang
+  let pipeline = sharp(await source.input()).rotate();
+
+  if (width || height) {
+    pipeline = pipeline.resize({
+      width: width || undefined,
+      height: height || undefined,
+      fit,
+      withoutEnlargement: true,
+    });
+  }
+
+  // Kualitas PNG di sharp berarti kuantisasi palet, jadi tidak dipakai
+  pipeline = pipeline.toFormat(format, format === "png" ? {} : { quality });
+
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+
+  try {
+    await pipeline.toFile(tempPath);
+    await fs.rename(tempPath, cachePath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Path varian gambar di cache disk, dibuat lebih dulu bila belum ada
+ *
+ * @param {Object} source - File gambar asli dari penyimpanan (storage.find)
+ * @param {Object} variant - Hasil parseVariantQuery
+ * @returns {Object} { path, contentType }
+ */
+async function getImageVariant(source, variant) {
+  const format = variant.format || defaultFormat(source.name);
+  const options = {
+    width: variant.width,
+    height: variant.height,
+    fit: variant.fit,
+    quality: variant.quality || IMAGES.defaultQuality,
+    format,
+  };
+
+  const key = crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify([
+        source.location,
+        source.mtime.getTime(),
+        source.size,
+        options,
+      ])
+    )
+    .digest("hex");
+  const cachePath = path.join(
+    IMAGES.cacheDir,
+    key.slice(0, 2),
+    `${path.parse(source.name).name}-${key.slice(0, 16)}.${
+      format === "jpeg" ? "jpg" : format
+    }`
+  );
+  const result = { path: cachePath, contentType: CONTENT_TYPES[format] };
+
+  try {
+    await fs.access(cachePath);
+    return result;
+  } catch {
+    // Belum ada di cache
+  }
+
+  if (!pending.has(cachePath)) {
+    pending.set(
+      cachePath,
+      render(source, cachePath, options).finally(() =>
+        pending.delete(cachePath)
+      )
+    );
+  }
+  await pending.get(cachePath);
+
+  return result;
+}
+
+export { parseVariantQuery, getImageVariant };
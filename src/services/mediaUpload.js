@@ -0,0 +1,115 @@
+/**
+ * Modul pemrosesan unggahan media
+ * Memeriksa jenis file dari isinya (magic bytes), membuang metadata
+ * EXIF/XMP yang bisa memuat lokasi GPS, membaca dimensi dan memberi nama
+ * file dari hash isinya.
+ */
+import crypto from "crypto";
+import sharp from "sharp";
+import { MEDIA } from "../config/media.js";
+import { detectImageType } from "../utils/imageType.js";
+import { createHttpError } from "../utils/httpError.js";
+
+// Format sharp untuk setiap tipe MIME yang diterima
+const SHARP_FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "heif",
+};
+
+// Kualitas PNG/GIF di sharp berarti kuantisasi palet, jadi tidak dipakai
+const LOSSY_FORMATS = ["jpeg", "webp", "heif"];
+
+async function readMetadata(buffer) {
+  try {
+    return await sharp(buffer).metadata();
+  } catch {
+    throw createHttpError(422, "File is not a valid image");
+  }
+}
+
+// Encode ulang tanpa metadata (bawaan sharp), hanya profil warna yang
+// dipertahankan. Orientasi EXIF diterapkan dulu karena tag-nya ikut hilang.
+async function stripMetadata(buffer, metadata) {
+  // sharp membaca AVIF sebagai heif, tapi menulisnya lewat format avif
+  const outputFormat = metadata.format === "heif" ? "avif" : metadata.format;
+
+  let pipeline = sharp(buffer, {
+    animated: true,
+    limitInputPixels: MEDIA.maxPixels,
+  }).keepIccProfile();
+
+  if (metadata.orientation > 1) {
+    pipeline = pipeline.rotate();
+  }
+
+  return pipeline
+    .toFormat(
+      outputFormat,
+      LOSSY_FORMATS.includes(metadata.format)
+        ? { quality: MEDIA.reencodeQuality }
+        : {}
+    )
+    .toBuffer();
+}
+
+/**
+ * Menyiapkan file unggahan untuk disimpan
+ *
+ * @param {Buffer} buffer - Isi file yang diunggah
+ * @returns {Object} { data, filename, mime_type, size, width, height }
+ */
+async function prepareUpload(buffer) {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw createHttpError(
+      415,
+      "Unsupported file type. Allowed: JPEG, PNG, GIF, WebP, AVIF"
+    );
+  }
+
+  const metadata = await readMetadata(buffer);
+  if (SHARP_FORMATS[type.mime] !== metadata.format) {
+    throw createHttpError(422, "File is not a valid image");
+  }
+
+  const width = metadata.width;
+  const height = metadata.pageHeight || metadata.height;
+  if (width * height > MEDIA.maxPixels) {
+    throw createHttpError(
+      422,
+      `Image is too large (maximum ${MEDIA.maxPixels} pixels)`
+    );
+  }
+
+  let data = buffer;
+  let dimensions = { width, height };
+
+  if (metadata.exif || metadata.xmp) {
+    try {
+      data = await stripMetadata(buffer, metadata);
+    } catch {
+      throw createHttpError(422, "File is not a valid image");
+    }
+
+    const stripped = await sharp(data).metadata();
+    dimensions = {
+      width: stripped.width,
+      height: stripped.pageHeight || stripped.height,
+    };
+  }
+
+  const hash = crypto.createHash("sha256").update(data).digest("hex");
+
+  return {
+    data,
+    filename: `${hash.slice(0, 40)}.${type.extension}`,
+    mime_type: type.mime,
+    size: data.length,
+    ...dimensions,
+  };
+}
+
+export { prepareUpload };
@@ -62,6 +62,21 @@ function setupScheduledTasks(fastify, models, db, encryptionUtils) {
     await cleanupOldLogs(fastify, db);
   });
 
+  // Menerbitkan dan mengakhiri artikel terjadwal setiap menit
+  nodeCron.schedule("* * * * *", async () => {
+    await processScheduledArticles(fastify, models, db);
+  });
+
+  // Melepas penempatan artikel yang ends_at-nya sudah lewat setiap menit
+  nodeCron.schedule("* * * * *", async () => {
+    await retireExpiredPlacements(fastify, models, db);
+  });
+
+  // Menghapus log pencarian lama setiap hari (pukul 03:00)
+  nodeCron.schedule("0 3 * * *", async () => {
+    await cleanupSearchQueries(fastify, models, db);
+  });
+
   fastify.log.info("Tugas terjadwal berhasil diinisialisasi");
 
   // Jalankan rotasi API key saat inisialisasi untuk memastikan ada key aktif
@@ -472,6 +487,195 @@ async function cleanupOldLogs(fastify, db) {
   }
 }
 
+/**
+ * Fungsi untuk menerbitkan artikel terjadwal yang publish_at-nya sudah lewat
+ * dan mengarsipkan artikel yang unpublish_at-nya sudah lewat
+ *
+ * @param {Object} fastify - Instansi fastify
+ * @param {Object} models - Model database aplikasi
+ * @param {Object} db - Koneksi database
+ * @returns {Object} Jumlah artikel yang diterbitkan dan diarsipkan
+ */
+async function processScheduledArticles(fastify, models, db) {
+  try {
+    // Validasi parameter
+    if (!fastify || !models || !db) {
+      console.error(
+        "Penerbitan artikel terjadwal dibatalkan: Parameter tidak lengkap"
+      );
+      return null;
+    }
+
+    // Validasi objek database
+    if (!db || typeof db.raw !== "function") {
+      fastify.log.error(
+        "Penerbitan artikel terjadwal dibatalkan: Objek database tidak valid"
+      );
+      return null;
+    }
+
+    const now = new Date();
+    const published = await models.Article.publishDue(now);
+    const expired = await models.Article.expireDue(now);
+
+    for (const article of published) {
+      models.ClientConnection.broadcastMessage(
+        {
+          type: "article",
+          action: "article_published",
+          data: {
+            id: article.id,
+            slug: article.slug,
+            title: article.title,
+            category_id: article.category_id,
+          },
+          timestamp: now.toISOString(),
+        },
+        fastify
+      );
+    }
+
+    for (const article of expired) {
+      models.ClientConnection.broadcastMessage(
+        {
+          type: "article",
+          action: "article_unpublished",
+          data: {
+            id: article.id,
+            slug: article.slug,
+            category_id: article.category_id,
+          },
+          timestamp: now.toISOString(),
+        },
+        fastify
+      );
+    }
+
+    if (published.length > 0 || expired.length > 0) {
+      fastify.log.info(
+        `Artikel terjadwal diproses: ${published.length} diterbitkan, ${expired.length} diarsipkan`
+      );
+    }
+
+    return { published: published.length, expired: expired.length };
+  } catch (err) {
+    const errorMessage = err && err.message ? err.message : "Unknown error";
+    fastify.log.error(
+      `Error selama memproses artikel terjadwal: ${errorMessage}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Fungsi untuk melepas penempatan artikel (headline, sub_headline, dll)
+ * yang masa tayangnya (ends_at) sudah berakhir
+ *
+ * @param {Object} fastify - Instansi fastify
+ * @param {Object} models - Model database aplikasi
+ * @param {Object} db - Koneksi database
+ * @returns {Object} Jumlah penempatan yang dilepas
+ */
+async function retireExpiredPlacements(fastify, models, db) {
+  try {
+    // Validasi parameter
+    if (!fastify || !models || !db) {
+      console.error(
+        "Pelepasan penempatan kadaluarsa dibatalkan: Parameter tidak lengkap"
+      );
+      return null;
+    }
+
+    // Validasi objek database
+    if (!db || typeof db.raw !== "function") {
+      fastify.log.error(
+        "Pelepasan penempatan kadaluarsa dibatalkan: Objek database tidak valid"
+      );
+      return null;
+    }
+
+    const now = new Date();
+    const retired = await models.ArticlePosition.retireExpired(now);
+
+    for (const placement of retired) {
+      models.ClientConnection.broadcastMessage(
+        {
+          type: "placement",
+          action: "placement_expired",
+          data: {
+            id: placement.id,
+            article_id: placement.article_id,
+            category_id: placement.category_id,
+            position: placement.position,
+          },
+          timestamp: now.toISOString(),
+        },
+        fastify
+      );
+    }
+
+    if (retired.length > 0) {
+      fastify.log.info(`${retired.length} penempatan kadaluarsa dilepas`);
+    }
+
+    return { retired: retired.length };
+  } catch (err) {
+    const errorMessage = err && err.message ? err.message : "Unknown error";
+    fastify.log.error(
+      `Error selama melepas penempatan kadaluarsa: ${errorMessage}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Fungsi untuk menghapus log pencarian yang melewati masa simpan
+ * (SEARCH_LOG_RETENTION_DAYS, default 90 hari)
+ *
+ * @param {Object} fastify - Instansi fastify
+ * @param {Object} models - Model database aplikasi
+ * @param {Object} db - Koneksi database
+ * @returns {Object} Jumlah log pencarian yang dihapus
+ */
+async function cleanupSearchQueries(fastify, models, db) {
+  try {
+    // Validasi parameter
+    if (!fastify || !models || !db) {
+      console.error(
+        "Pembersihan log pencarian dibatalkan: Parameter tidak lengkap"
+      );
+      return null;
+    }
+
+    // Validasi objek database
+    if (!db || typeof db.raw !== "function") {
+      fastify.log.error(
+        "Pembersihan log pencarian dibatalkan: Objek database tidak valid"
+      );
+      return null;
+    }
+
+    const retentionDays =
+      parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 90;
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+
+    const deleted = await models.SearchQuery.removeOlderThan(cutoff);
+
+    fastify.log.info(
+      `${deleted} log pencarian lebih dari ${retentionDays} hari dihapus`
+    );
+
+    return { deleted };
+  } catch (err) {
+    const errorMessage = err && err.message ? err.message : "Unknown error";
+    fastify.log.error(
+      `Error selama membersihkan log pencarian: ${errorMessage}`
+    );
+    return null;
+  }
+}
+
 // Ekspor fungsi-fungsi yang diperlukan
 export {
   setupScheduledTasks,
@@ -481,4 +685,7 @@ export {
   cleanupOldApiKeys,
   performDatabaseBackup,
   cleanupOldLogs,
+  processScheduledArticles,
+  retireExpiredPlacements,
+  cleanupSearchQueries,
 };
@@ -0,0 +1,343 @@
+/**
+ * Modul indeks pencarian artikel di dalam proses
+ * Indeks terbalik atas judul, deskripsi dan awal isi artikel dengan
+ * stemming dan stopword bahasa Indonesia serta toleransi salah ketik.
+ * Dibangun sekali saat start, lalu diperbarui per artikel: lewat event
+ * articleEvents di proses yang sama, dan lewat sinkronisasi berkala
+ * (updated_at/status) untuk perubahan dari proses lain.
+ */
+import { SEARCH } from "../config/search.js";
+import {
+  STOPWORDS,
+  analyze,
+  analyzeQuery,
+  tokenize,
+} from "../utils/indonesian.js";
+import { createTermDictionary } from "../utils/termDictionary.js";
+
+const BATCH_SIZE = 500;
+
+const documentColumns = [
+  "id",
+  "title",
+  "slug",
+  "description",
+  "content",
+  "status",
+  "date_published",
+  "category_id",
+  "updated_at",
+];
+
+// Jejak perubahan artikel yang dibandingkan saat sinkronisasi
+function versionOf(row) {
+  return `${row.status}|${new Date(row.updated_at || 0).getTime()}`;
+}
+
+/**
+ * Membuat indeks pencarian di atas koneksi database tertentu
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @returns {Object} Indeks dengan method build, sync, refresh, remove,
+ *   search, suggest dan watch
+ */
+function createSearchIndex(db) {
+  // id -> { id, title, slug, status, date_published, category_id, version, terms }
+  const documents = new Map();
+  // term -> Map(id -> bobot)
+  const postings = new Map();
+  // Daftar term untuk mencari prefiks dan kandidat salah ketik tanpa
+  // memeriksa seluruh kosakata
+  const vocabulary = createTermDictionary();
+
+  const index = {
+    ready: false,
+
+    get size() {
+      return documents.size;
+    },
+
+    add(row) {
+      this.discard(row.id);
+
+      const weights = new Map();
+      const fields = {
+        title: row.title,
+        description: row.description,
+        content: tokenize(row.content).slice(0, SEARCH.contentWords).join(" "),
+      };
+
+      for (const [field, text] of Object.entries(fields)) {
+        const counts = new Map();
+        for (const term of analyze(text)) {
+          counts.set(term, (counts.get(term) || 0) + 1);
+        }
+
+        for (const [term, count] of counts) {
+          const weight = SEARCH.fieldWeights[field] * (1 + Math.log(count));
+          weights.set(term, (weights.get(term) || 0) + weight);
+        }
+      }
+
+      for (const [term, weight] of weights) {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+          vocabulary.add(term);
+        }
+        postings.get(term).set(row.id, weight);
+      }
+
+      documents.set(row.id, {
+        id: row.id,
+        title: row.title,
+        slug: row.slug,
+        status: row.status,
+        date_published: row.date_published,
+        category_id: row.category_id,
+        version: versionOf(row),
+        terms: [...weights.keys()],
+      });
+    },
+
+    discard(id) {
+      const document = documents.get(id);
+      if (!document) {
+        return;
+      }
+
+      for (const term of document.terms) {
+        const list = postings.get(term);
+        list.delete(id);
+
+        if (list.size === 0) {
+          postings.delete(term);
+          vocabulary.delete(term);
+        }
+      }
+
+      documents.delete(id);
+    },
+
+    // Memuat ulang seluruh artikel secara bertahap per BATCH_SIZE baris
+    async build() {
+      let lastId = 0;
+
+      for (;;) {
+        const rows = await db("articles")
+          .select(documentColumns)
+          .where("id", ">", lastId)
+          .orderBy("id")
+          .limit(BATCH_SIZE);
+
+        rows.forEach((row) => this.add(row));
+
+        if (rows.length < BATCH_SIZE) {
+          break;
+        }
+        lastId = rows[rows.length - 1].id;
+      }
+
+      this.ready = true;
+      return documents.size;
+    },
+
+    // Membandingkan versi setiap artikel dengan database dan hanya
+    // mengindeks ulang yang berubah atau terhapus. Mengembalikan baris yang
+    // berubah dan ID yang terhapus agar cache lain dapat ikut diperbarui.
+    async sync() {
+      const rows = await db("articles").select("id", "status", "updated_at");
+      const seen = new Set();
+      const changed = [];
+
+      for (const row of rows) {
+        seen.add(row.id);
+        if (documents.get(row.id)?.version !== versionOf(row)) {
+          changed.push(row.id);
+        }
+      }
+
+      const removed = [...documents.keys()].filter((id) => !seen.has(id));
+      removed.forEach((id) => this.discard(id));
+
+      const changedRows = [];
+      for (let i = 0; i < changed.length; i += BATCH_SIZE) {
+        const batch = await db("articles")
+          .select(documentColumns)
+          .whereIn("id", changed.slice(i, i + BATCH_SIZE));
+        batch.forEach((row) => this.add(row));
+        changedRows.push(...batch);
+      }
+
+      return { changed: changedRows, removed };
+    },
+
+    async refresh(id) {
+      const row = await db("articles")
+        .select(documentColumns)
+        .where("id", id)
+        .first();
+
+      if (row) {
+        this.add(row);
+      } else {
+        this.discard(Number(id));
+      }
+    },
+
+    remove(id) {
+      this.discard(Number(id));
+    },
+
+    // Ikuti event articleEvents dari model Article di proses yang sama
+    watch(events) {
+      events.on("changed", (id) => {
+        this.refresh(id).catch((err) =>
+          console.error(
+            `Error refreshing search index for article ${id}: ${err.message}`
+          )
+        );
+      });
+      events.on("removed", (id) => this.remove(id));
+    },
+
+    // Term di indeks yang cocok dengan satu kata query beserta faktor skor:
+    // varian stem persis, salah ketik (edit distance) dan opsional prefiks
+    expand(variants, prefixes = []) {
+      const matches = new Map();
+      const keep = (term, factor) => {
+        if ((matches.get(term) || 0) < factor) {
+          matches.set(term, factor);
+        }
+      };
+
+      for (const variant of variants) {
+        if (postings.has(variant)) {
+          keep(variant, 1);
+        }
+
+        const maxEdits =
+          variant.length >= SEARCH.fuzzy.twoEditsFrom
+            ? 2
+            : variant.length >= SEARCH.fuzzy.oneEditFrom
+            ? 1
+            : 0;
+
+        for (const [term, distance] of vocabulary.similar(variant, maxEdits)) {
+          keep(term, SEARCH.fuzzy.penalties[distance]);
+        }
+      }
+
+      for (const prefix of new Set(prefixes)) {
+        if (prefix.length >= 2) {
+          vocabulary.withPrefix(prefix).forEach((term) => keep(term, 0.5));
+        }
+      }
+
+      return matches;
+    },
+
+    /**
+     * Mencari artikel. Hasil diurutkan menurut jumlah kata query yang
+     * cocok, lalu skor (bobot field x idf x faktor kecocokan), atau
+     * menurut tanggal terbit bila sort = "date".
+     *
+     * @param {string} query - Kata kunci
+     * @param {Object} options - { limit, offset, sort, includeUnpublished, prefix }
+     * @returns {Object} { total, hits: [{ id, score }] }
+     */
+    search(query, options = {}) {
+      const words = analyzeQuery(query);
+      const lastRaw = tokenize(query).at(-1);
+      const total = documents.size;
+      const scores = new Map();
+
+      words.forEach((variants, position) => {
+        const isLast = position === words.length - 1;
+        // Kata terakhir yang sedang diketik juga dicocokkan sebagai prefiks
+        const terms = this.expand(
+          variants,
+          options.prefix && isLast && !STOPWORDS.has(lastRaw)
+            ? [...variants, lastRaw]
+            : []
+        );
+        const best = new Map();
+
+        for (const [term, factor] of terms) {
+          const list = postings.get(term);
+          const idf = Math.log(
+            1 + (total - list.size + 0.5) / (list.size + 0.5)
+          );
+
+          for (const [id, weight] of list) {
+            const score = weight * idf * factor;
+            if ((best.get(id) || 0) < score) {
+              best.set(id, score);
+            }
+          }
+        }
+
+        for (const [id, score] of best) {
+          const current = scores.get(id) || { matched: 0, score: 0 };
+          scores.set(id, {
+            matched: current.matched + 1,
+            score: current.score + score,
+          });
+        }
+      });
+
+      const hits = [];
+      for (const [id, { matched, score }] of scores) {
+        const document = documents.get(id);
+        if (options.includeUnpublished || document.status === "published") {
+          hits.push({ id, matched, score, document });
+        }
+      }
+
+      hits.sort((a, b) =>
+        options.sort === "date"
+          ? new Date(b.document.date_published) -
+            new Date(a.document.date_published)
+          : b.matched - a.matched ||
+            b.score - a.score ||
+            new Date(b.document.date_published) -
+              new Date(a.document.date_published)
+      );
+
+      const offset = options.offset || 0;
+      const limit = options.limit || 10;
+
+      return {
+        total: hits.length,
+        hits: hits
+          .slice(offset, offset + limit)
+          .map(({ id, score }) => ({ id, score })),
+      };
+    },
+
+    /**
+     * Saran judul artikel untuk kata kunci yang sedang diketik
+     * (kata terakhir juga dicocokkan sebagai prefiks)
+     *
+     * @param {string} query - Kata kunci
+     * @param {Object} options - { limit, includeUnpublished }
+     * @returns {Array<Object>} [{ type: "article", id, label, slug, score }]
+     */
+    suggest(query, options = {}) {
+      return this.search(query, {
+        ...options,
+        limit: options.limit || 10,
+        prefix: true,
+      }).hits.map(({ id, score }) => ({
+        type: "article",
+        id,
+        label: documents.get(id).title,
+        slug: documents.get(id).slug,
+        score,
+      }));
+    },
+  };
+
+  return index;
+}
+
+export { createSearchIndex };
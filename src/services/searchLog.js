@@ -0,0 +1,154 @@
+/**
+ * Modul pencatatan pencarian untuk analitik
+ * Catatan ditampung di memori dan ditulis per batch agar rute yang dipanggil
+ * di setiap ketikan (/api/suggestions) tidak menulis ke database tiap kali.
+ */
+import { randomUUID } from "crypto";
+import { normalize } from "./autocomplete.js";
+
+const FLUSH_INTERVAL = 5000;
+const MAX_BUFFER = 500;
+// Batas antrean saat database tidak bisa ditulis, dan berapa kali satu
+// catatan dicoba ditulis sebelum dibuang
+const MAX_PENDING = MAX_BUFFER * 10;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Membuat pencatat pencarian di atas koneksi database tertentu
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @param {Object} logger - Logger (mis. fastify.log)
+ * @returns {Object} Pencatat dengan method record, recordClick, flush, start, stop
+ */
+function createSearchLog(db, logger = console) {
+  let buffer = [];
+  let timer = null;
+  // Batch yang sedang ditulis: sudah keluar dari buffer, belum ada di
+  // database ({ entries, done })
+  let flushing = null;
+  const attempts = new WeakMap();
+
+  // Kembalikan batch yang gagal ditulis ke depan antrean
+  const requeue = (entries, err) => {
+    const retry = entries.filter((entry) => {
+      const count = (attempts.get(entry) || 0) + 1;
+      attempts.set(entry, count);
+      return count < MAX_ATTEMPTS;
+    });
+
+    buffer = retry.concat(buffer);
+    const dropped =
+      entries.length - retry.length + Math.max(buffer.length - MAX_PENDING, 0);
+    if (buffer.length > MAX_PENDING) {
+      buffer = buffer.slice(buffer.length - MAX_PENDING);
+    }
+
+    logger.error(
+      `Gagal menyimpan log pencarian: ${err.message} (${retry.length} dicoba lagi, ${dropped} dibuang)`
+    );
+  };
+
+  const searchLog = {
+    /**
+     * Mencatat satu pencarian
+     *
+     * @param {Object} entry - { query, endpoint, resultCount, latencyMs }
+     * @returns {string|null} search_id untuk melaporkan klik, atau null bila
+     *   kata kunci kosong setelah dinormalisasi
+     */
+    record({ query, endpoint, resultCount, latencyMs }) {
+      const term = normalize(query).slice(0, 255);
+      if (!term) {
+        return null;
+      }
+
+      const searchId = randomUUID();
+      buffer.push({
+        search_id: searchId,
+        term,
+        endpoint,
+        result_count: resultCount || 0,
+        latency_ms: Math.round(latencyMs || 0),
+        created_at: new Date(),
+      });
+
+      if (buffer.length >= MAX_BUFFER && !flushing) {
+        this.flush();
+      }
+
+      return searchId;
+    },
+
+    // Mencatat artikel yang diklik dari hasil sebuah pencarian
+    async recordClick(searchId, articleId) {
+      const now = new Date();
+      const pending = buffer.find((entry) => entry.search_id === searchId);
+
+      if (pending) {
+        pending.clicked_article_id = articleId;
+        pending.clicked_at = now;
+        return true;
+      }
+
+      // Masih ditulis: tunggu sampai ada di database atau kembali ke buffer
+      if (
+        flushing &&
+        flushing.entries.some((entry) => entry.search_id === searchId)
+      ) {
+        await flushing.done;
+        return this.recordClick(searchId, articleId);
+      }
+
+      const updated = await db("search_queries")
+        .where("search_id", searchId)
+        .update({ clicked_article_id: articleId, clicked_at: now });
+
+      return updated > 0;
+    },
+
+    // Menulis isi buffer ke database; satu batch sekaligus
+    async flush() {
+      if (flushing) {
+        await flushing.done;
+        return this.flush();
+      }
+
+      if (buffer.length === 0) {
+        return 0;
+      }
+
+      const entries = buffer;
+      buffer = [];
+
+      const done = db("search_queries")
+        .insert(entries)
+        .then(
+          () => entries.length,
+          (err) => {
+            requeue(entries, err);
+            return 0;
+          }
+        )
+        .finally(() => {
+          flushing = null;
+        });
+      flushing = { entries, done };
+
+      return done;
+    },
+
+    start() {
+      timer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+      timer.unref();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      await this.flush();
+    },
+  };
+
+  return searchLog;
+}
+
+export { createSearchLog };
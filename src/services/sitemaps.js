@@ -0,0 +1,265 @@
+/**
+ * Modul pembuatan sitemap
+ * Semua sitemap anak (artikel, kategori, penulis per halaman) dan sitemap
+ * Google News dibuat sekaligus dan disimpan di memori, lalu dibuat ulang
+ * secara terjadwal dan setelah ada artikel yang terbit atau berubah.
+ */
+import crypto from "crypto";
+import { SITE } from "../config/site.js";
+import { SITEMAPS } from "../config/sitemaps.js";
+import { articleUrl, categoryUrl, authorUrl } from "../utils/siteUrls.js";
+import {
+  buildUrlset,
+  buildSitemapIndex,
+  buildNewsSitemap,
+} from "../utils/sitemap.js";
+
+// Dokumen XML siap kirim beserta ETag dan waktu perubahan terakhir
+function toDocument(xml, lastModified = null) {
+  return {
+    xml,
+    lastModified,
+    etag: `"${crypto.createHash("sha1").update(xml).digest("base64url")}"`,
+  };
+}
+
+function latest(...values) {
+  const dates = values
+    .filter(Boolean)
+    .map((value) => new Date(value))
+    .filter((date) => !isNaN(date));
+  return dates.length ? new Date(Math.max(...dates)) : null;
+}
+
+/**
+ * Memecah daftar URL menjadi sitemap anak bernama "<jenis>-<halaman>"
+ *
+ * @param {string} kind - articles, categories atau authors
+ * @param {Array<Object>} urls - { loc, lastmod }
+ * @returns {Array<Object>} { name, urls, lastModified }
+ */
+function paginate(kind, urls) {
+  const pages = [];
+  for (let i = 0; i < urls.length; i += SITEMAPS.pageSize) {
+    const page = urls.slice(i, i + SITEMAPS.pageSize);
+    pages.push({
+      name: `${kind}-${pages.length + 1}`,
+      urls: page,
+      lastModified: latest(...page.map((url) => url.lastmod)),
+    });
+  }
+  return pages;
+}
+
+/**
+ * Mengambil seluruh URL publik dari database
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @param {Date} now - Waktu acuan untuk jendela Google News
+ * @returns {Object} { articles, categories, authors, news }
+ */
+async function loadEntries(db, now) {
+  const articles = await db("articles")
+    .select("id", "slug", "date_published", "updated_at")
+    .where("status", "published")
+    .orderBy("id");
+
+  // lastmod kategori dan penulis = artikel terbit terbaru miliknya
+  const categories = await db("categories as c")
+    .leftJoin("articles as a", function () {
+      this.on("a.category_id", "c.id").andOnVal("a.status", "published");
+    })
+    .select("c.id", "c.slug")
+    .max("a.date_published as last_published")
+    .groupBy("c.id", "c.slug")
+    .orderBy("c.id");
+
+  const authors = await db("authors as au")
+    .join("article_authors as aa", "aa.author_id", "au.id")
+    .join("articles as a", "aa.article_id", "a.id")
+    .where("a.status", "published")
+    .select("au.id", "au.slug", "au.updated_at")
+    .max("a.date_published as last_published")
+    .groupBy("au.id", "au.slug", "au.updated_at")
+    .orderBy("au.id");
+
+  const since = new Date(now.getTime() - SITEMAPS.news.hours * 3600 * 1000);
+  const news = await db("articles")
+    .select("id", "title", "slug", "date_published")
+    .where("status", "published")
+    .where("date_published", ">=", since)
+    .where("date_published", "<=", now)
+    .orderBy("date_published", "desc")
+    .limit(SITEMAPS.news.limit);
+
+  const tags = news.length
+    ? await db("article_tags as at")
+        .join("tags as t", "at.tag_id", "t.id")
+        .select("at.article_id", "t.name")
+        .whereIn(
+          "at.article_id",
+          news.map((article) => article.id)
+        )
+    : [];
+
+  return { articles, categories, authors, news, tags };
+}
+
+/**
+ * Membuat penyimpan sitemap di atas koneksi database tertentu
+ *
+ * @param {Object} db - Koneksi database (knex)
+ * @param {Object} logger - Logger (mis. fastify.log)
+ * @returns {Object} Sitemap dengan method build, get, index, schedule,
+ *   watch dan stop
+ */
+function createSitemaps(db, logger = console) {
+  // nama sitemap anak / "news" -> dokumen
+  let documents = new Map();
+  // Daftar sitemap anak untuk sitemap index: { name, lastModified }
+  let children = [];
+  let pending = null;
+  let timer = null;
+
+  const sitemaps = {
+    generatedAt: null,
+
+    // Membuat ulang semua sitemap; panggilan bersamaan berbagi satu proses
+    build(now = new Date()) {
+      if (pending) {
+        return pending;
+      }
+
+      pending = loadEntries(db, now)
+        .then(({ articles, categories, authors, news, tags }) => {
+          const pages = [
+            ...paginate(
+              "articles",
+              articles.map((article) => ({
+                loc: articleUrl(article.slug),
+                lastmod: latest(article.updated_at, article.date_published),
+              }))
+            ),
+            ...paginate(
+              "categories",
+              categories.map((category) => ({
+                loc: categoryUrl(category.slug),
+                lastmod: category.last_published,
+              }))
+            ),
+            ...paginate(
+              "authors",
+              authors.map((author) => ({
+                loc: authorUrl(author.slug),
+                lastmod: latest(author.updated_at, author.last_published),
+              }))
+            ),
+          ];
+
+          const keywords = new Map();
+          for (const row of tags) {
+            keywords.set(row.article_id, [
+              ...(keywords.get(row.article_id) || []),
+              row.name,
+            ]);
+          }
+
+          const next = new Map(
+            pages.map((page) => [
+              page.name,
+              toDocument(buildUrlset(page.urls), page.lastModified),
+            ])
+          );
+          next.set(
+            "news",
+            toDocument(
+              buildNewsSitemap(
+                { name: SITE.name, language: SITE.language },
+                news.map((article) => ({
+                  loc: articleUrl(article.slug),
+                  title: article.title,
+                  published: article.date_published,
+                  keywords: (keywords.get(article.id) || []).join(", "),
+                }))
+              ),
+              latest(...news.map((article) => article.date_published))
+            )
+          );
+
+          documents = next;
+          children = pages.map(({ name, lastModified }) => ({
+            name,
+            lastModified,
+          }));
+          this.generatedAt = now;
+
+          return { sitemaps: pages.length, urls: articles.length };
+        })
+        .finally(() => {
+          pending = null;
+        });
+
+      return pending;
+    },
+
+    // Dokumen sitemap anak atau "news"; dibuat dulu bila belum pernah
+    async get(name) {
+      if (!this.generatedAt) {
+        await this.build();
+      }
+      return documents.get(name) || null;
+    },
+
+    /**
+     * Sitemap index berisi URL absolut sitemap anak
+     *
+     * @param {string} baseUrl - Alamat publik tempat /sitemaps/*.xml dilayani
+     * @returns {Object} Dokumen sitemap index
+     */
+    async index(baseUrl) {
+      if (!this.generatedAt) {
+        await this.build();
+      }
+
+      return toDocument(
+        buildSitemapIndex(
+          children.map((child) => ({
+            loc: `${baseUrl}/sitemaps/${child.name}.xml`,
+            lastmod: child.lastModified,
+          }))
+        ),
+        latest(...children.map((child) => child.lastModified))
+      );
+    },
+
+    // Jadwalkan pembuatan ulang; perubahan berdekatan digabung jadi satu
+    schedule(delay = SITEMAPS.regenerateDelay * 1000) {
+      if (timer) {
+        return;
+      }
+
+      timer = setTimeout(() => {
+        timer = null;
+        this.build().catch((err) =>
+          logger.error(`Gagal membuat ulang sitemap: ${err.message}`)
+        );
+      }, delay);
+      timer.unref();
+    },
+
+    // Ikuti event articleEvents dari model Article di proses yang sama
+    watch(events) {
+      events.on("changed", () => this.schedule());
+      events.on("removed", () => this.schedule());
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+
+  return sitemaps;
+}
+
+export { createSitemaps };
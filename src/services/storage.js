@@ -0,0 +1,180 @@
+/**
+ * Modul penyimpanan gambar
+ * Membaca file dari driver yang diatur di settings.storage (lokal dan/atau
+ * S3) dan menyimpan indeks di memori berisi lokasi setiap file, sehingga
+ * permintaan gambar tidak perlu memeriksa semua folder/bucket setiap kali.
+ */
+import { loadConfiguration } from "../config/settings.js";
+import { createLocalDriver } from "./storage/local.js";
+import { createS3Driver } from "./storage/s3.js";
+
+const DRIVERS = {
+  local: (options) => createLocalDriver(options.local || {}),
+  s3: (options) => createS3Driver(options.s3 || {}),
+};
+
+// Batas jumlah nama file tidak ditemukan yang diingat
+const MAX_MISSES = 5000;
+
+let shared = null;
+
+/**
+ * Membuat penyimpanan dari settings.storage
+ *
+ * @param {Object} options - { drivers, indexTtl, missTtl, local, s3 }
+ * @param {Object} logger - Logger (fastify.log)
+ * @returns {Object} Penyimpanan dengan fungsi start, find dan put
+ */
+function createStorage(options, logger = console) {
+  const drivers = (options.drivers || ["local"]).map((name) => {
+    if (!DRIVERS[name]) {
+      throw new Error(
+        `Driver penyimpanan tidak dikenal: ${name} (pilihan: ${Object.keys(
+          DRIVERS
+        ).join(", ")})`
+      );
+    }
+    return DRIVERS[name](options);
+  });
+
+  const indexTtl = Math.max(options.indexTtl ?? 60, 0) * 1000;
+  const missTtl = Math.max(options.missTtl ?? 30, 0) * 1000;
+
+  // nama file -> { file, checkedAt }
+  const index = new Map();
+  // nama file -> waktu terakhir dicari tanpa hasil
+  const misses = new Map();
+  // Pencarian yang sedang berjalan, agar permintaan bersamaan tidak berulang
+  const pending = new Map();
+
+  const remember = (name, file) => {
+    misses.delete(name);
+
+    if (file) {
+      index.set(name, { file, checkedAt: Date.now() });
+      return;
+    }
+
+    index.delete(name);
+    misses.set(name, Date.now());
+    if (misses.size > MAX_MISSES) {
+      misses.delete(misses.keys().next().value);
+    }
+  };
+
+  const lookup = async (name) => {
+    for (const driver of drivers) {
+      const file = await driver.stat(name);
+      if (file) {
+        return file;
+      }
+    }
+    return null;
+  };
+
+  return {
+    // Nama driver sesuai urutan pencarian
+    drivers: drivers.map((driver) => driver.name),
+
+    /**
+     * Mengisi indeks dari daftar file semua driver
+     * @returns {number} Jumlah file yang diindeks
+     */
+    async start() {
+      const next = new Map();
+
+      for (const driver of drivers) {
+        let files;
+        try {
+          files = await driver.list();
+        } catch (error) {
+          logger.warn(
+            `Gagal membaca daftar file driver ${driver.name}: ${error.message}`
+          );
+          continue;
+        }
+
+        const checkedAt = Date.now();
+        for (const file of files) {
+          if (!next.has(file.name)) {
+            next.set(file.name, { file, checkedAt });
+          }
+        }
+      }
+
+      index.clear();
+      misses.clear();
+      for (const [name, entry] of next) {
+        index.set(name, entry);
+      }
+
+      return index.size;
+    },
+
+    /**
+     * Lokasi file dari indeks; diperiksa ulang ke driver bila sudah
+     * lebih lama dari indexTtl, atau belum pernah dicari
+     *
+     * @param {string} name - Nama file (tanpa folder)
+     * @returns {Object|null} { name, driver, location, size, mtime,
+     *   open(range), input() } atau null bila tidak ada
+     */
+    async find(name) {
+      const now = Date.now();
+      const entry = index.get(name);
+
+      if (entry && now - entry.checkedAt < indexTtl) {
+        return entry.file;
+      }
+      if (!entry && now - (misses.get(name) ?? -Infinity) < missTtl) {
+        return null;
+      }
+
+      if (!pending.has(name)) {
+        pending.set(
+          name,
+          lookup(name)
+            .then((file) => {
+              remember(name, file);
+              return file;
+            })
+            .finally(() => pending.delete(name))
+        );
+      }
+
+      return pending.get(name);
+    },
+
+    /**
+     * Menyimpan file ke driver pertama dan mencatatnya di indeks
+     *
+     * @param {string} name - Nama file (tanpa folder)
+     * @param {Buffer} data - Isi file
+     * @param {string} contentType - Tipe MIME file
+     * @returns {Object} Deskripsi file (lihat find)
+     */
+    async put(name, data, contentType) {
+      const file = await drivers[0].put(name, data, contentType);
+      remember(name, file);
+      return file;
+    },
+  };
+}
+
+/**
+ * Penyimpanan bersama dari settings.storage, dibuat sekali per proses agar
+ * route gambar dan route media memakai indeks yang sama
+ *
+ * @param {Object} logger - Logger (fastify.log)
+ * @returns {Promise<Object>} Penyimpanan (lihat createStorage)
+ */
+function getStorage(logger) {
+  if (!shared) {
+    shared = loadConfiguration().then((settings) =>
+      createStorage(settings.storage, logger)
+    );
+  }
+  return shared;
+}
+
+export { createStorage, getStorage };
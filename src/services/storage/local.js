@@ -0,0 +1,135 @@
+/**
+ * Driver penyimpanan lokal
+ * Mencari file di beberapa folder secara berurutan (folder pertama menang).
+ * File baru ditulis ke folder pertama.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { createReadStream } from "fs";
+
+/**
+ * Deskripsi file lokal dalam bentuk yang sama dengan driver lain
+ *
+ * @param {string} name - Nama file
+ * @param {string} fullPath - Path lengkap file
+ * @param {Object} stat - Hasil fs.stat
+ * @returns {Object} { name, driver, location, size, mtime, open, input }
+ */
+function localFile(name, fullPath, stat) {
+  return {
+    name,
+    driver: "local",
+    location: fullPath,
+    size: stat.size,
+    mtime: stat.mtime,
+    // range { start, end } inklusif, atau kosong untuk seluruh file
+    open: async (range) => createReadStream(fullPath, range || undefined),
+    // sharp bisa membaca langsung dari path
+    input: async () => fullPath,
+  };
+}
+
+/**
+ * Stat file lokal di luar folder penyimpanan (varian di cache, placeholder)
+ *
+ * @param {string} fullPath - Path lengkap file
+ * @returns {Object} Deskripsi file (lihat localFile)
+ */
+async function statLocalFile(fullPath) {
+  return localFile(path.basename(fullPath), fullPath, await fs.stat(fullPath));
+}
+
+/**
+ * Membuat driver lokal
+ *
+ * @param {Object} options - settings.storage.local ({ roots })
+ * @returns {Object} Driver dengan fungsi stat, list dan put
+ */
+function createLocalDriver(options) {
+  const roots = options.roots || [];
+
+  return {
+    name: "local",
+
+    // Deskripsi file dari folder pertama yang memilikinya, atau null
+    async stat(name) {
+      if (path.basename(name) !== name) {
+        return null;
+      }
+
+      for (const root of roots) {
+        const fullPath = path.join(root, name);
+
+        try {
+          const stat = await fs.stat(fullPath);
+          if (stat.isFile()) {
+            return localFile(name, fullPath, stat);
+          }
+        } catch (error) {
+          if (error.code !== "ENOENT" && error.code !== "ENOTDIR") {
+            throw error;
+          }
+        }
+      }
+
+      return null;
+    },
+
+    // Semua file di semua folder; folder yang tidak ada dilewati
+    async list() {
+      const files = [];
+
+      for (const root of roots) {
+        let entries;
+        try {
+          entries = await fs.readdir(root, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+            continue;
+          }
+          throw error;
+        }
+
+        for (const entry of entries) {
+          if (!entry.isFile()) {
+            continue;
+          }
+          const fullPath = path.join(root, entry.name);
+          try {
+            files.push(
+              localFile(entry.name, fullPath, await fs.stat(fullPath))
+            );
+          } catch {
+            // Dihapus di tengah pembacaan folder
+          }
+        }
+      }
+
+      return files;
+    },
+
+    // Tulis file ke folder pertama (lewat file sementara agar pembaca tidak
+    // pernah melihat file setengah jadi)
+    async put(name, data) {
+      if (roots.length === 0) {
+        throw new Error("STORAGE_LOCAL_PATHS tidak berisi folder");
+      }
+
+      const fullPath = path.join(roots[0], path.basename(name));
+      const tempPath = `${fullPath}.${process.pid}.${Date.now()}.tmp`;
+
+      await fs.mkdir(roots[0], { recursive: true });
+      try {
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, fullPath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+
+      return localFile(name, fullPath, await fs.stat(fullPath));
+    },
+  };
+}
+
+export { createLocalDriver, statLocalFile };
@@ -0,0 +1,138 @@
+/**
+ * Driver penyimpanan S3
+ * Bekerja dengan layanan kompatibel S3 (AWS S3, MinIO, Cloudflare R2).
+ * File disimpan sebagai objek <prefix><nama file> di satu bucket.
+ */
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from "@aws-sdk/client-s3";
+
+/**
+ * Membuat driver S3
+ *
+ * @param {Object} options - settings.storage.s3
+ * @returns {Object} Driver dengan fungsi stat, list dan put
+ */
+function createS3Driver(options) {
+  if (!options.bucket) {
+    throw new Error("S3_BUCKET wajib diisi untuk driver penyimpanan s3");
+  }
+
+  const bucket = options.bucket;
+  const prefix = options.prefix || "";
+
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: Boolean(options.forcePathStyle),
+    // Tanpa kunci, kredensial diambil dari rantai default AWS SDK
+    credentials: options.accessKeyId
+      ? {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey,
+        }
+      : undefined,
+  });
+
+  const getObject = async (key, range) => {
+    const result = await client.send(
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+      })
+    );
+    return result.Body;
+  };
+
+  const s3File = (name, size, mtime) => {
+    const key = `${prefix}${name}`;
+
+    return {
+      name,
+      driver: "s3",
+      location: `s3://${bucket}/${key}`,
+      size,
+      mtime,
+      open: (range) => getObject(key, range),
+      // sharp tidak bisa membaca URL, jadi objek diunduh ke buffer
+      input: async () =>
+        Buffer.from(await (await getObject(key)).transformToByteArray()),
+    };
+  };
+
+  return {
+    name: "s3",
+
+    // Deskripsi objek, atau null bila tidak ada di bucket
+    async stat(name) {
+      if (name.includes("/")) {
+        return null;
+      }
+
+      try {
+        const result = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: `${prefix}${name}` })
+        );
+        return s3File(name, result.ContentLength, result.LastModified);
+      } catch (error) {
+        if (
+          error.name === "NotFound" ||
+          error.$metadata?.httpStatusCode === 404
+        ) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Semua objek langsung di bawah prefix (tanpa "subfolder")
+    async list() {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const result = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+          })
+        );
+
+        for (const object of result.Contents || []) {
+          const name = object.Key.slice(prefix.length);
+          if (name && !name.includes("/")) {
+            files.push(s3File(name, object.Size, object.LastModified));
+          }
+        }
+
+        continuationToken = result.IsTruncated
+          ? result.NextContinuationToken
+          : undefined;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    async put(name, data, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: `${prefix}${name}`,
+          Body: data,
+          ContentType: contentType,
+        })
+      );
+
+      // LastModified dari S3 dipakai agar ETag sama dengan hasil list/stat
+      return this.stat(name);
+    },
+  };
+}
+
+export { createS3Driver };
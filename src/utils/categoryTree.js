@@ -0,0 +1,96 @@
+// Helpers for the category hierarchy (categories.parent_id).
+// They work on the full, flat category list, which is small enough to load
+// at once, and guard against cycles in bad data.
+
+/**
+ * Build a nested tree from a flat category list
+ * @param {Array<Object>} categories - Rows with id and parent_id
+ * @returns {Array<Object>} Root categories, each with a children array
+ */
+function buildTree(categories) {
+  const nodes = new Map(
+    categories.map((category) => [category.id, { ...category, children: [] }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent && parent !== node && !isDescendant(nodes, parent, node.id)) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+// True when the node with candidateId is an ancestor of node
+function isDescendant(nodes, node, candidateId) {
+  const seen = new Set();
+  let current = node;
+
+  while (current && current.parent_id && !seen.has(current.id)) {
+    if (current.parent_id === candidateId) {
+      return true;
+    }
+    seen.add(current.id);
+    current = nodes.get(current.parent_id);
+  }
+
+  return false;
+}
+
+/**
+ * Breadcrumb trail from the root down to the given category
+ * @param {Array<Object>} categories - Flat category list
+ * @param {number} categoryId - Category to start from
+ * @returns {Array<{id: number, name: string, slug: string}>}
+ */
+function ancestorsOf(categories, categoryId) {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+  const trail = [];
+  const seen = new Set();
+  let current = byId.get(Number(categoryId));
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    trail.unshift({ id: current.id, name: current.name, slug: current.slug });
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+
+  return trail;
+}
+
+/**
+ * IDs of a category and all of its descendants
+ * @param {Array<Object>} categories - Flat category list
+ * @param {number} categoryId - Root of the subtree
+ * @returns {Array<number>}
+ */
+function descendantIdsOf(categories, categoryId) {
+  const childrenOf = new Map();
+  for (const category of categories) {
+    if (!childrenOf.has(category.parent_id)) {
+      childrenOf.set(category.parent_id, []);
+    }
+    childrenOf.get(category.parent_id).push(category.id);
+  }
+
+  const rootId = Number(categoryId);
+  const ids = [rootId];
+  const seen = new Set(ids);
+
+  for (let i = 0; i < ids.length; i++) {
+    for (const childId of childrenOf.get(ids[i]) || []) {
+      if (!seen.has(childId)) {
+        seen.add(childId);
+        ids.push(childId);
+      }
+    }
+  }
+
+  return ids;
+}
+
+export { buildTree, ancestorsOf, descendantIdsOf };
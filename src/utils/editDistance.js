@@ -0,0 +1,54 @@
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions, so "pemilu" → "pemiul" costs 1), giving up early once
+ * the distance is known to exceed max
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+
+      if (
+        before &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    before = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+export { editDistance };
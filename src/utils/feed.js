@@ -0,0 +1,168 @@
+// RSS 2.0 and Atom 1.0 documents from a channel description and a list of
+// normalized feed items:
+//   { title, url, summary, content, published, updated, categories,
+//     authors, enclosure: { url, type, length } }
+
+// Characters that are not allowed anywhere in an XML document, not even
+// inside CDATA (control characters pasted from Word, U+FFFE, U+FFFF)
+const INVALID_XML_CHARS =
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// CDATA cannot contain "]]>", so it is split across two sections
+function cdata(text) {
+  return `<![CDATA[${String(text ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function element(name, value, attributes = "") {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Newest update time among the items, used for lastBuildDate/updated and
+ * the Last-Modified header
+ * @param {Array<Object>} items - Feed items
+ * @returns {Date|null}
+ */
+function lastUpdated(items) {
+  let latest = null;
+  for (const item of items) {
+    const date = toDate(item.updated || item.published);
+    if (date && !isNaN(date) && (!latest || date > latest)) {
+      latest = date;
+    }
+  }
+  return latest;
+}
+
+/**
+ * RSS 2.0 document
+ * @param {Object} channel - { title, description, link, selfUrl, language, ttl }
+ * @param {Array<Object>} items - Feed items
+ * @returns {string} XML
+ */
+function buildRss(channel, items) {
+  const updated = lastUpdated(items);
+
+  const entries = items.map((item) => {
+    const published = toDate(item.published);
+    const parts = [
+      element("title", item.title),
+      element("link", item.url),
+      element("guid", item.url, ' isPermaLink="true"'),
+      published ? element("pubDate", published.toUTCString()) : "",
+      element("description", item.summary),
+      item.content
+        ? `<content:encoded>${cdata(item.content)}</content:encoded>`
+        : "",
+      ...(item.authors || []).map((name) => element("dc:creator", name)),
+      ...(item.categories || []).map((name) => element("category", name)),
+      item.enclosure
+        ? `<enclosure url="${escapeXml(item.enclosure.url)}" length="${
+            item.enclosure.length || 0
+          }" type="${escapeXml(item.enclosure.type)}"/>`
+        : "",
+    ];
+    return `<item>${parts.join("")}</item>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+      'xmlns:content="http://purl.org/rss/1.0/modules/content/" ' +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    element("title", channel.title),
+    element("link", channel.link),
+    element("description", channel.description),
+    element("language", channel.language),
+    updated ? element("lastBuildDate", updated.toUTCString()) : "",
+    element("ttl", channel.ttl),
+    `<atom:link href="${escapeXml(
+      channel.selfUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+/**
+ * Atom 1.0 document
+ * @param {Object} channel - { title, description, link, selfUrl, language,
+ *   author } (author is used for entries without authors)
+ * @param {Array<Object>} items - Feed items
+ * @returns {string} XML
+ */
+function buildAtom(channel, items) {
+  const updated = lastUpdated(items) || new Date(0);
+
+  const entries = items.map((item) => {
+    const published = toDate(item.published);
+    const parts = [
+      element("id", item.url),
+      element("title", item.title),
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      published ? element("published", published.toISOString()) : "",
+      element(
+        "updated",
+        (toDate(item.updated) || published || updated).toISOString()
+      ),
+      ...(item.authors?.length ? item.authors : [channel.author]).map(
+        (name) => `<author>${element("name", name)}</author>`
+      ),
+      ...(item.categories || []).map(
+        (name) => `<category term="${escapeXml(name)}"/>`
+      ),
+      element("summary", item.summary),
+      item.content
+        ? `<content type="html">${escapeXml(item.content)}</content>`
+        : "",
+      item.enclosure
+        ? `<link rel="enclosure" href="${escapeXml(
+            item.enclosure.url
+          )}" type="${escapeXml(item.enclosure.type)}"${
+            item.enclosure.length ? ` length="${item.enclosure.length}"` : ""
+          }/>`
+        : "",
+    ];
+    return `<entry>${parts.join("")}</entry>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${
+      channel.language ? ` xml:lang="${escapeXml(channel.language)}"` : ""
+    }>`,
+    element("id", channel.selfUrl),
+    element("title", channel.title),
+    element("subtitle", channel.description),
+    `<link rel="alternate" type="text/html" href="${escapeXml(
+      channel.link
+    )}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(
+      channel.selfUrl
+    )}"/>`,
+    element("updated", updated.toISOString()),
+    ...entries,
+    "</feed>",
+  ].join("\n");
+}
+
+export { escapeXml, lastUpdated, buildRss, buildAtom };
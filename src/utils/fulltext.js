@@ -0,0 +1,114 @@
+// Helpers for MySQL FULLTEXT search over articles
+// (indexes ft_articles_search and ft_articles_title).
+
+const SEARCH_MODES = {
+  natural: "IN NATURAL LANGUAGE MODE",
+  boolean: "IN BOOLEAN MODE",
+};
+
+const SEARCH_SORTS = ["relevance", "date"];
+
+// A title match counts this many times as much as a body match
+const TITLE_WEIGHT = 3;
+
+// InnoDB ignores words shorter than innodb_ft_min_token_size (default 3)
+const MIN_TOKEN_LENGTH = 3;
+
+/**
+ * Clean a user query for MATCH ... AGAINST. Natural mode drops boolean
+ * operators; boolean mode keeps + - " * ( ) < > ~ but removes characters
+ * InnoDB rejects as syntax errors (e.g. a stray @).
+ * @param {string} text - Raw query
+ * @param {string} mode - natural | boolean
+ * @returns {string}
+ */
+function normalizeFulltextQuery(text, mode = "natural") {
+  const allowed =
+    mode === "boolean" ? /[^\p{L}\p{N}\s+\-"*()<>~]/gu : /[^\p{L}\p{N}\s]/gu;
+  let cleaned = String(text || "")
+    .replace(allowed, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (mode === "boolean") {
+    // Operators only make sense in front of a word, * only after one
+    cleaned = cleaned
+      .replace(/[+\-~<>]+(?=\s|$)/g, "")
+      .replace(/(^|\s)\*+/g, "$1")
+      .trim();
+
+    // Unbalanced quotes or parentheses are syntax errors in InnoDB
+    if ((cleaned.match(/"/g) || []).length % 2) {
+      cleaned = cleaned.replace(/"/g, "");
+    }
+    if (
+      (cleaned.match(/\(/g) || []).length !==
+      (cleaned.match(/\)/g) || []).length
+    ) {
+      cleaned = cleaned.replace(/[()]/g, "");
+    }
+  }
+
+  return cleaned;
+}
+
+/**
+ * True when at least one word is long enough for the FULLTEXT index
+ * @param {string} text - Normalized query
+ * @returns {boolean}
+ */
+function isFulltextSearchable(text) {
+  return String(text || "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .some((word) => word.length >= MIN_TOKEN_LENGTH);
+}
+
+/**
+ * Add FULLTEXT matching to an articles query aliased as "a".
+ * Adds a relevance column (title matches weighted by TITLE_WEIGHT) unless
+ * options.select is false, e.g. for count queries.
+ * @param {Object} query - Knex query builder
+ * @param {Object} db - Knex instance, used for raw expressions
+ * @param {string} text - Normalized query
+ * @param {Object} options - { mode, select }
+ * @returns {Object} The query builder
+ */
+function applyFulltextSearch(query, db, text, options = {}) {
+  const against = SEARCH_MODES[options.mode] || SEARCH_MODES.natural;
+  const matchAll = `MATCH(a.title, a.description, a.content) AGAINST (? ${against})`;
+  const matchTitle = `MATCH(a.title) AGAINST (? ${against})`;
+
+  if (options.select !== false) {
+    query.select(
+      db.raw(`(${matchTitle} * ${TITLE_WEIGHT} + ${matchAll}) AS relevance`, [
+        text,
+        text,
+      ])
+    );
+  }
+
+  return query.whereRaw(matchAll, [text]);
+}
+
+/**
+ * Order search results by relevance (newest first on ties) or by date
+ * @param {Object} query - Knex query builder with a relevance column
+ * @param {string} sort - relevance | date
+ * @returns {Object} The query builder
+ */
+function orderSearchResults(query, sort) {
+  if (sort === "relevance") {
+    query.orderBy("relevance", "desc");
+  }
+
+  return query.orderBy("a.date_published", "desc");
+}
+
+export {
+  SEARCH_MODES,
+  SEARCH_SORTS,
+  normalizeFulltextQuery,
+  isFulltextSearchable,
+  applyFulltextSearch,
+  orderSearchResults,
+};
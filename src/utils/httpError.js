@@ -0,0 +1,9 @@
+// Create an Error carrying an HTTP status code so route handlers can
+// forward model-level validation failures to the client
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export { createHttpError };
@@ -0,0 +1,69 @@
+// Byte range requests (RFC 9110 section 14). Only single ranges are served;
+// multi-range requests are answered with the full representation, which
+// the spec allows.
+
+/**
+ * Parse a Range header against a representation of a known size
+ * @param {string} header - Range header value
+ * @param {number} size - Total size in bytes
+ * @returns {Object|null|false} { start, end } (inclusive), null when the
+ *   full body should be sent, false when the range is unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header ?? "").trim());
+
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) {
+      return false;
+    }
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    // A last position before the first is invalid syntax, not an
+    // unsatisfiable range, so the header is ignored
+    if (match[2] !== "" && Number(match[2]) < start) {
+      return null;
+    }
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size) {
+    return false;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Whether a Range header may be honored given If-Range
+ * @param {string} ifRange - If-Range header value
+ * @param {string} etag - Current strong ETag
+ * @param {Date} lastModified - Current modification time
+ * @returns {boolean}
+ */
+function rangeStillValid(ifRange, etag, lastModified) {
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    // If-Range requires a strong match
+    return ifRange === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return (
+    !isNaN(date) && Math.floor(lastModified.getTime() / 1000) * 1000 === date
+  );
+}
+
+export { parseRange, rangeStillValid };
@@ -0,0 +1,73 @@
+// Image type detection from the file signature ("magic bytes"). The
+// Content-Type and file name sent by the client are not trusted.
+
+const AVIF_BRANDS = new Set(["avif", "avis"]);
+
+// Major and compatible brands of an ISO BMFF "ftyp" box (AVIF files may
+// declare a generic major brand such as mif1 and list avif as compatible)
+function ftypBrands(buffer) {
+  if (buffer.toString("latin1", 4, 8) !== "ftyp") {
+    return [];
+  }
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString("latin1", 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString("latin1", offset, offset + 4));
+  }
+  return brands;
+}
+
+const SIGNATURES = [
+  {
+    mime: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    mime: "image/png",
+    extension: "png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mime: "image/gif",
+    extension: "gif",
+    matches: (buffer) =>
+      ["GIF87a", "GIF89a"].includes(buffer.toString("latin1", 0, 6)),
+  },
+  {
+    mime: "image/webp",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP",
+  },
+  {
+    mime: "image/avif",
+    extension: "avif",
+    matches: (buffer) =>
+      ftypBrands(buffer).some((brand) => AVIF_BRANDS.has(brand)),
+  },
+];
+
+/**
+ * Detect a supported image type from the first bytes of a file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { mime, extension }, or null if not a supported image
+ */
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find((entry) => entry.matches(buffer));
+  return signature
+    ? { mime: signature.mime, extension: signature.extension }
+    : null;
+}
+
+export { detectImageType };
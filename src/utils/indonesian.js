@@ -0,0 +1,205 @@
+// Text analysis for Indonesian search: tokenizing, stopword removal and a
+// rule-based stemmer after Nazief & Adriani (affix stripping with only a
+// short list of root words, see ROOT_WORDS). The stemmer only has to map
+// inflected forms to the same key for indexing and querying, so a few
+// linguistically wrong roots are harmless as long as they are consistent.
+
+const STOPWORDS = new Set(
+  `ada adalah adanya agar akan akankah akhirnya aku akulah amat anda andalah
+  antar antara apa apaan apabila apakah apalagi atau ataukah ataupun bagai
+  bagaimana bagaimanakah bagi bahkan bahwa bahwasanya banyak beberapa begini
+  begitu belum belumlah berapa berapakah bisa boleh bukan bukankah bukanlah
+  cukup dahulu dalam dan dapat dari daripada dekat demi demikian dengan depan
+  di dia dialah diri dirinya dong dulu engkau hal hampir hanya hanyalah harus
+  haruslah hingga ia ialah ini inikah inilah itu itukah itulah jadi jangan
+  jika jikalau juga justru kadang kalau kalian kami kamilah kamu kamulah kan
+  kapan karena karenanya kata ke kecuali kembali kemudian kenapa kepada
+  ketika kini kita kitalah lagi lah lain lalu lama lebih maka mana manakah
+  masih mau melainkan memang mengapa mereka merekalah meski meskipun mungkin
+  nah namun nanti nyaris oleh pada padahal para pasti per pernah pula pun
+  punya saat saja sambil sampai sana sangat saya sayalah se sebab sebagai
+  sebelum sedang sedangkan sehingga sejak sekali sekarang selagi selain
+  selalu seluruh semua sementara sendiri seperti serta sesudah setelah
+  setiap sini supaya tadi tak tanpa tapi telah tentang tentu terhadap
+  tersebut tetapi tidak toh untuk walau walaupun ya yaitu yakni yang`.split(
+    /\s+/
+  )
+);
+
+// Common root words that begin like a prefix (se-lesai, ke-luarga,
+// men-teri, per-caya). Without them the stemmer strips the "prefix" from
+// the bare word but not from its derived forms, so "selesai" becomes
+// "lesai" while "menyelesaikan" becomes "selesai".
+const ROOT_WORDS = new Set(
+  `bekal belanja beli benci bencana beras berat berani berita bersih besar
+  betul dekat denda desa diam dialog diet digital dinas dingin dinding dini
+  diplomasi direksi direktur disiplin diskon diskusi distribusi dividen
+  kebun kecil kejar keju kelas keliling kelompok keluarga keluh kemah
+  kemarin kemeja kenal kental kepala kera keras kereta kering kertas kesal
+  ketik ketua media medis mekanisme melodi menang menara mental menteri
+  menit menu merah merdeka merek mesin meter metode mewah pedas pegawai
+  pelihara peluang peluk pena pendek pensiun pentas penting peran perang
+  percaya perempuan pergi periksa perintah peristiwa perlu persen pesan
+  pesawat pesta peta rekan sebar sedia sedih sedikit segar segera sehat
+  sejahtera sejarah sejuk sekolah sekitar sektor selamat selasa selatan
+  seleksi selesai semangat sembuh semester sempat senang senat senin seni
+  senjata sensus sepak sepatu sepeda seragam serang serikat sesuai setia
+  setuju tekan teknik teknologi telepon teliti tema teman tembak tempat
+  tenaga tenang tengah tenggara tentara tepat terang terbang terima terus
+  tertib teror`.split(/\s+/)
+);
+
+/**
+ * Lowercase word tokens of a text. HTML tags are treated as separators.
+ * @param {string} text - Input text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&[a-z#0-9]+;/g, " ")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Strip a suffix only when a usable root (4+ letters) remains
+function stripSuffix(word, suffixes) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+
+  return word;
+}
+
+// Outer derivational prefixes with the usual sound changes. A nasal
+// before a vowel is ambiguous (menulis ← tulis, but menanam ← tanam and
+// menikah ← nikah), so those rules return both readings.
+// Recoded roots are final; the others may carry an inner per-/ber-/ter-.
+const OUTER_PREFIXES = [
+  [/^(meny|peny)([aiueo].*)$/, (m) => [`s${m[2]}`, `ny${m[2]}`], true],
+  [/^(mem|pem)([aiueo].*)$/, (m) => [`p${m[2]}`, `m${m[2]}`], true],
+  [/^(men|pen)([aiueo].*)$/, (m) => [`t${m[2]}`, `n${m[2]}`], true],
+  [/^(menge|penge)([^aiueo].{2,})$/, (m) => [m[2]], true],
+  [/^(meng|peng)([aiueo].*)$/, (m) => [m[2], `k${m[2]}`], true],
+  [/^(meng|peng)([gkhq].*)$/, (m) => [m[2]], false],
+  [/^(mem|pem)([bfpv].*)$/, (m) => [m[2]], false],
+  [/^(men|pen)([cdjtsz].*)$/, (m) => [m[2]], false],
+  [/^(ber|ter|per)([aiueo].*)$/, (m) => [m[2], m[0]], false],
+  [/^(ber|ter|per)(.*)$/, (m) => [m[2]], false],
+  [/^(me|pe)([lmnrwy].*)$/, (m) => [m[2]], false],
+  [/^(be|te)(r.*)$/, (m) => [m[2]], false],
+  [/^(di|ke|se)(.*)$/, (m) => [m[2]], false],
+];
+
+const INNER_PREFIX = /^(per|ber|ter)([^aiueo].{3,})$/;
+
+// Prefix/suffix pairs that do not form a confix (Nazief & Adriani), e.g.
+// ke-…-kan: "kenaikan" is ke-naik-an, not ke-nai-kan
+const DISALLOWED_SUFFIXES = {
+  be: ["i"],
+  di: ["an"],
+  ke: ["i", "kan"],
+  me: ["an"],
+  pe: ["kan"],
+  se: ["i", "kan"],
+  te: ["an"],
+};
+
+function stripPrefixes(word) {
+  if (ROOT_WORDS.has(word)) {
+    return [word];
+  }
+
+  for (const [pattern, replace, final] of OUTER_PREFIXES) {
+    const match = word.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    const roots = replace(match);
+    if (roots[0].length < 4 && !(final && roots[0].length === 3)) {
+      return [word];
+    }
+
+    const inner =
+      final || ROOT_WORDS.has(roots[0]) ? null : roots[0].match(INNER_PREFIX);
+    return inner ? [inner[2]] : roots;
+  }
+
+  return [word];
+}
+
+/**
+ * Possible stems of an Indonesian word, most likely first: the particle
+ * -pun, possessive pronouns (-ku, -mu, -nya), derivational
+ * suffixes (-i, -kan, -an) and up to two derivational prefixes. Words
+ * whose root ends like a suffix get both readings.
+ * @param {string} word - Lowercase word
+ * @returns {Array<string>}
+ */
+function stemVariants(word) {
+  if (word.length <= 4 || /\d/.test(word)) {
+    return [word];
+  }
+
+  let root = stripSuffix(word, ["pun"]);
+  root = stripSuffix(root, ["nya", "ku", "mu"]);
+  if (ROOT_WORDS.has(root)) {
+    return [root];
+  }
+
+  const disallowed = DISALLOWED_SUFFIXES[root.slice(0, 2)] || [];
+  const stripped = stripSuffix(
+    root,
+    ["kan", "an", "i"].filter((suffix) => !disallowed.includes(suffix))
+  );
+
+  const variants = stripPrefixes(stripped);
+  if (stripped === root) {
+    return variants;
+  }
+
+  // The ending may belong to the root (berjalan ← jalan, memakan ← makan),
+  // so the reading without the suffix strip is kept as well. It goes first
+  // when only it lets the prefix come off (berjal stays berjal).
+  const unsuffixed = stripPrefixes(root);
+  const preferUnsuffixed = variants[0] === stripped && unsuffixed[0] !== root;
+
+  return [
+    ...new Set(
+      preferUnsuffixed
+        ? [...unsuffixed, ...variants]
+        : [...variants, ...unsuffixed]
+    ),
+  ];
+}
+
+function stem(word) {
+  return stemVariants(word)[0];
+}
+
+/**
+ * Index keys for a text: tokens without stopwords, with every stem variant
+ * @param {string} text - Input text
+ * @returns {Array<string>}
+ */
+function analyze(text) {
+  return analyzeQuery(text).flat();
+}
+
+/**
+ * Query terms for a text: one list of stem variants per word, so a match
+ * on any variant counts as a match on the word
+ * @param {string} text - Query text
+ * @returns {Array<Array<string>>}
+ */
+function analyzeQuery(text) {
+  return tokenize(text)
+    .filter((token) => !STOPWORDS.has(token))
+    .map(stemVariants);
+}
+
+export { STOPWORDS, tokenize, stem, stemVariants, analyze, analyzeQuery };
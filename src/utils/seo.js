@@ -0,0 +1,121 @@
+// SEO and social metadata for a single article: canonical URL, Open Graph,
+// Twitter Card and JSON-LD NewsArticle. Editors may override the title and
+// description through seo_title / seo_description; otherwise the article's
+// own title and description (or the start of its body) are used.
+import { SITE } from "../config/site.js";
+import { articleUrl, authorUrl, imageUrl } from "./siteUrls.js";
+import { stripHtml } from "./snippet.js";
+
+const DESCRIPTION_LENGTH = 160;
+// Google truncates NewsArticle headlines longer than this
+const HEADLINE_LENGTH = 110;
+
+function truncate(text, length) {
+  const plain = String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (plain.length <= length) {
+    return plain;
+  }
+
+  const cut = plain.slice(0, length - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Computed metadata for an article payload
+ * @param {Object} article - Article row, optionally with tags and authors
+ * @param {string} apiBaseUrl - Public URL of this API, used for image URLs
+ *   when API_URL is unset
+ * @returns {Object} { title, description, canonical_url, open_graph,
+ *   twitter, json_ld }
+ */
+function buildArticleSeo(article, apiBaseUrl = "") {
+  const title = article.seo_title || article.title;
+  const description = truncate(
+    article.seo_description ||
+      article.description ||
+      stripHtml(article.content),
+    DESCRIPTION_LENGTH
+  );
+  const canonicalUrl = articleUrl(article.slug);
+  // Images are served by this API, not by the frontend at SITE_URL
+  const image = imageUrl(article.image_url, apiBaseUrl);
+  const published = isoDate(article.date_published);
+  const modified = isoDate(article.updated_at) || published;
+  const tags = (article.tags || []).map((tag) => tag.name);
+  const authors = (article.authors || []).map((author) => ({
+    name: author.display_name,
+    url: author.slug ? authorUrl(author.slug) : null,
+  }));
+
+  const openGraph = {
+    "og:type": "article",
+    "og:site_name": SITE.name,
+    "og:locale": SITE.locale,
+    "og:url": canonicalUrl,
+    "og:title": title,
+    "og:description": description,
+    "og:image": image,
+    "article:published_time": published,
+    "article:modified_time": modified,
+    "article:section": article.category_name || null,
+    "article:tag": tags,
+    "article:author": authors.map((author) => author.url).filter(Boolean),
+  };
+
+  const twitter = {
+    "twitter:card": image ? "summary_large_image" : "summary",
+    "twitter:site": SITE.twitter || null,
+    "twitter:title": title,
+    "twitter:description": description,
+    "twitter:image": image,
+  };
+
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "NewsArticle",
+    mainEntityOfPage: { "@type": "WebPage", "@id": canonicalUrl },
+    headline: truncate(title, HEADLINE_LENGTH),
+    description,
+    image: image ? [image] : [],
+    datePublished: published,
+    dateModified: modified,
+    author: authors.length
+      ? authors.map((author) => ({
+          "@type": "Person",
+          name: author.name,
+          ...(author.url && { url: author.url }),
+        }))
+      : [{ "@type": "Organization", name: SITE.name, url: SITE.url }],
+    publisher: {
+      "@type": "Organization",
+      name: SITE.name,
+      url: SITE.url,
+      ...(SITE.logoUrl && {
+        logo: { "@type": "ImageObject", url: SITE.logoUrl },
+      }),
+    },
+    ...(article.category_name && { articleSection: article.category_name }),
+    ...(tags.length && { keywords: tags.join(", ") }),
+    inLanguage: SITE.language,
+  };
+
+  return {
+    title,
+    description,
+    canonical_url: canonicalUrl,
+    open_graph: openGraph,
+    twitter,
+    json_ld: jsonLd,
+  };
+}
+
+export { buildArticleSeo };
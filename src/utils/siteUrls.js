@@ -0,0 +1,35 @@
+// Absolute URLs for public pages and images, built from src/config/site.js.
+import path from "path";
+import { SITE } from "../config/site.js";
+
+function pageUrl(pattern, slug) {
+  return `${SITE.url}${pattern.replace(":slug", encodeURIComponent(slug))}`;
+}
+
+const articleUrl = (slug) => pageUrl(SITE.paths.article, slug);
+const categoryUrl = (slug) => pageUrl(SITE.paths.category, slug);
+const tagUrl = (slug) => pageUrl(SITE.paths.tag, slug);
+const authorUrl = (slug) => pageUrl(SITE.paths.author, slug);
+
+/**
+ * Public URL of an article image. Stored values are file names or paths
+ * under the CMS storage ("article_images/x.jpg") and are served by
+ * /article_images/:filename; absolute URLs are returned unchanged.
+ *
+ * @param {string} value - articles.image_url
+ * @param {string} baseUrl - Public URL of this API, used when API_URL is unset
+ * @returns {string|null}
+ */
+function imageUrl(value, baseUrl = "") {
+  if (!value) {
+    return null;
+  }
+  if (/^https?:\/\//i.test(value)) {
+    return value;
+  }
+
+  const filename = encodeURIComponent(path.basename(value));
+  return `${SITE.apiUrl || baseUrl}/article_images/${filename}`;
+}
+
+export { articleUrl, categoryUrl, tagUrl, authorUrl, imageUrl };
@@ -0,0 +1,86 @@
+// Sitemap protocol 0.9 documents: URL sets, sitemap indexes and Google News
+// sitemaps. Dates may be Date objects or anything new Date() accepts.
+import { escapeXml } from "./feed.js";
+
+const SITEMAP_NS = "http://www.sitemaps.org/schemas/sitemap/0.9";
+const NEWS_NS = "http://www.google.com/schemas/sitemap-news/0.9";
+
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+function tag(name, value) {
+  return value ? `<${name}>${escapeXml(value)}</${name}>` : "";
+}
+
+/**
+ * URL set sitemap
+ * @param {Array<Object>} urls - { loc, lastmod }
+ * @returns {string} XML
+ */
+function buildUrlset(urls) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NS}">`,
+    ...urls.map(
+      (url) =>
+        `<url>${tag("loc", url.loc)}${tag(
+          "lastmod",
+          isoDate(url.lastmod)
+        )}</url>`
+    ),
+    "</urlset>",
+  ].join("\n");
+}
+
+/**
+ * Sitemap index pointing at child sitemaps
+ * @param {Array<Object>} sitemaps - { loc, lastmod }
+ * @returns {string} XML
+ */
+function buildSitemapIndex(sitemaps) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<sitemapindex xmlns="${SITEMAP_NS}">`,
+    ...sitemaps.map(
+      (sitemap) =>
+        `<sitemap>${tag("loc", sitemap.loc)}${tag(
+          "lastmod",
+          isoDate(sitemap.lastmod)
+        )}</sitemap>`
+    ),
+    "</sitemapindex>",
+  ].join("\n");
+}
+
+/**
+ * Google News sitemap
+ * @param {Object} publication - { name, language }
+ * @param {Array<Object>} articles - { loc, title, published, keywords }
+ * @returns {string} XML
+ */
+function buildNewsSitemap(publication, articles) {
+  const publicationXml = `<news:publication>${tag(
+    "news:name",
+    publication.name
+  )}${tag("news:language", publication.language)}</news:publication>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NS}" xmlns:news="${NEWS_NS}">`,
+    ...articles.map(
+      (article) =>
+        `<url>${tag("loc", article.loc)}<news:news>${publicationXml}${tag(
+          "news:publication_date",
+          isoDate(article.published)
+        )}${tag("news:title", article.title)}${tag(
+          "news:keywords",
+          article.keywords
+        )}</news:news></url>`
+    ),
+    "</urlset>",
+  ].join("\n");
+}
+
+export { buildUrlset, buildSitemapIndex, buildNewsSitemap };
@@ -0,0 +1,13 @@
+import slugify from "slugify";
+
+// URL slug for Indonesian titles and names
+function toSlug(text, maxLength = 200) {
+  return slugify(String(text), {
+    lower: true,
+    strict: true,
+    locale: "id",
+    trim: true,
+  }).substring(0, maxLength);
+}
+
+export { toSlug };
@@ -0,0 +1,249 @@
+// Search hit helpers: HTML-safe snippets with <mark> highlighting and
+// information about which fields matched. Article bodies are stored as
+// HTML, so text is stripped to plain text before matching.
+
+const SNIPPET_LENGTH = 160;
+const SEARCH_FIELDS = ["title", "description", "content"];
+// Matches collected per field; the snippet window is chosen among these
+const MAX_MATCHES = 1000;
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&nbsp;": " ",
+};
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Plain text from stored HTML
+ * @param {string} html - Article HTML
+ * @returns {string}
+ */
+function stripHtml(html) {
+  return String(html ?? "")
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Words and quoted phrases of a search query, without boolean operators
+ * @param {string} query - Raw query
+ * @returns {Array<string>} Lowercased terms, longest first
+ */
+function searchTerms(query) {
+  const terms = new Set();
+  const text = String(query || "").toLowerCase();
+
+  for (const [, phrase] of text.matchAll(/"([^"]+)"/g)) {
+    const cleaned = phrase.replace(/[^\p{L}\p{N}\s]/gu, " ").trim();
+    if (cleaned) {
+      terms.add(cleaned.replace(/\s+/g, " "));
+    }
+  }
+
+  for (const word of text.replace(/"[^"]*"/g, " ").split(/[^\p{L}\p{N}]+/u)) {
+    if (word.length >= 2) {
+      terms.add(word);
+    }
+  }
+
+  return [...terms].sort((a, b) => b.length - a.length);
+}
+
+// Matches a term at the start of a word and runs on to the end of that
+// word, so "pemerintah" also highlights "pemerintahan"
+function termPattern(terms) {
+  const alternatives = terms.map((term) =>
+    term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+")
+  );
+
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+}
+
+function findMatches(text, terms) {
+  if (!terms.length || !text) {
+    return [];
+  }
+
+  const matches = [];
+  for (const match of text.matchAll(termPattern(terms))) {
+    matches.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      term: match[0].toLowerCase(),
+    });
+
+    if (matches.length >= MAX_MATCHES) {
+      break;
+    }
+  }
+
+  return matches;
+}
+
+// Escape text and wrap the given ranges in <mark>
+function markRanges(text, ranges, offset = 0) {
+  let output = "";
+  let cursor = offset;
+
+  for (const { start, end } of ranges) {
+    output += escapeHtml(text.slice(cursor, start));
+    output += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  }
+
+  return output;
+}
+
+/**
+ * Highlight every match in a short text such as a title
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - From searchTerms()
+ * @returns {string} HTML-safe text with <mark> elements
+ */
+function highlight(text, terms) {
+  const plain = String(text ?? "");
+  const matches = findMatches(plain, terms);
+
+  return (
+    markRanges(plain, matches) +
+    escapeHtml(plain.slice(matches.at(-1)?.end ?? 0))
+  );
+}
+
+/**
+ * Passage of about `length` characters around the densest cluster of
+ * matches, highlighted and HTML-safe
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - From searchTerms()
+ * @param {number} length - Target snippet length
+ * @returns {string|null} Null when nothing matched
+ */
+function makeSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const matches = findMatches(text, terms);
+
+  if (!matches.length) {
+    return null;
+  }
+
+  // Window containing the most distinct terms, then the most matches.
+  // Matches are sorted and do not overlap, so the window [i, next) slides
+  // forward; a match longer than the window still forms one on its own.
+  let best = { index: 0, distinct: 0, count: 0 };
+  const termCounts = new Map();
+  let next = 0;
+  for (let i = 0; i < matches.length; i++) {
+    while (
+      next < matches.length &&
+      (next === i || matches[next].end - matches[i].start <= length)
+    ) {
+      const term = matches[next].term;
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+      next++;
+    }
+
+    const count = next - i;
+    if (
+      termCounts.size > best.distinct ||
+      (termCounts.size === best.distinct && count > best.count)
+    ) {
+      best = { index: i, distinct: termCounts.size, count };
+    }
+
+    const term = matches[i].term;
+    if (termCounts.get(term) === 1) {
+      termCounts.delete(term);
+    } else {
+      termCounts.set(term, termCounts.get(term) - 1);
+    }
+  }
+
+  // Center the window on the cluster and snap it to word boundaries
+  const first = matches[best.index];
+  const last = matches[best.index + best.count - 1];
+  const padding = Math.max(
+    0,
+    Math.floor((length - (last.end - first.start)) / 2)
+  );
+  let start = Math.max(0, first.start - padding);
+  let end = Math.min(text.length, Math.max(last.end, start + length));
+
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    start = space !== -1 && space < first.start ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    end = space > last.end ? space : end;
+  }
+
+  const inside = matches.filter(
+    (match) => match.start >= start && match.end <= end
+  );
+
+  return (
+    (start > 0 ? "…" : "") +
+    markRanges(text, inside, start) +
+    escapeHtml(text.slice(inside.at(-1)?.end ?? start, end)) +
+    (end < text.length ? "…" : "")
+  );
+}
+
+/**
+ * Decorate a search result with highlight info
+ * @param {Object} article - Article row with title, description, content
+ * @param {Array<string>} terms - From searchTerms()
+ * @param {Object} options - { includeContent: false drops the full body }
+ * @returns {Object} Article with highlighted_title, snippet, matched_fields
+ */
+function buildSearchHit(article, terms, options = {}) {
+  const plain = Object.fromEntries(
+    SEARCH_FIELDS.map((field) => [field, stripHtml(article[field])])
+  );
+  const matchedFields = SEARCH_FIELDS.filter(
+    (field) => findMatches(plain[field], terms).length > 0
+  );
+  const snippet =
+    makeSnippet(plain.content, terms) ??
+    makeSnippet(plain.description, terms) ??
+    escapeHtml(plain.description || plain.content.slice(0, SNIPPET_LENGTH));
+
+  const hit = {
+    ...article,
+    highlighted_title: highlight(article.title, terms),
+    snippet,
+    matched_fields: matchedFields,
+  };
+
+  if (options.includeContent === false) {
+    delete hit.content;
+  }
+
+  return hit;
+}
+
+export {
+  escapeHtml,
+  stripHtml,
+  searchTerms,
+  highlight,
+  makeSnippet,
+  buildSearchHit,
+};
@@ -0,0 +1,182 @@
+// Term lookups for the search index without scanning the vocabulary:
+// a sorted array for prefixes (binary search, as in autocomplete) and a
+// symmetric deletion index for typos. Every term is stored under itself
+// and each string one deletion away; two strings within one edit
+// (optimal string alignment) always share such a key. For two edits the
+// one-edit neighbours of the query are looked up the same way.
+
+import { editDistance } from "./editDistance.js";
+
+function deletions(word) {
+  const keys = new Set([word]);
+  for (let i = 0; i < word.length; i++) {
+    keys.add(word.slice(0, i) + word.slice(i + 1));
+  }
+  return keys;
+}
+
+// Strings one edit away: deletions, transpositions, substitutions and
+// insertions of the given characters
+function neighbours(word, alphabet) {
+  const result = deletions(word);
+
+  for (let i = 0; i <= word.length; i++) {
+    const head = word.slice(0, i);
+
+    if (i < word.length - 1) {
+      result.add(head + word[i + 1] + word[i] + word.slice(i + 2));
+    }
+
+    for (const char of alphabet) {
+      result.add(head + char + word.slice(i));
+      if (i < word.length) {
+        result.add(head + char + word.slice(i + 1));
+      }
+    }
+  }
+
+  return result;
+}
+
+function lowerBound(list, value) {
+  let low = 0;
+  let high = list.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (list[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Create an empty term dictionary
+ * @returns {Object} Dictionary with add, delete, has, withPrefix and similar
+ */
+function createTermDictionary() {
+  const terms = new Set();
+  // deletion key -> term, or an array of terms when several share it
+  // (most keys belong to a single term, so no array is allocated)
+  const keys = new Map();
+  // Characters seen in any term, for the substitutions and insertions
+  const alphabet = new Set();
+  const sorted = [];
+
+  const lookup = (word, found) => {
+    for (const key of deletions(word)) {
+      const entry = keys.get(key);
+      if (typeof entry === "string") {
+        found.add(entry);
+      } else if (entry) {
+        entry.forEach((term) => found.add(term));
+      }
+    }
+  };
+
+  return {
+    get size() {
+      return terms.size;
+    },
+
+    has(term) {
+      return terms.has(term);
+    },
+
+    add(term) {
+      if (terms.has(term)) {
+        return;
+      }
+
+      terms.add(term);
+      for (const char of term) {
+        alphabet.add(char);
+      }
+      for (const key of deletions(term)) {
+        const entry = keys.get(key);
+        if (entry === undefined) {
+          keys.set(key, term);
+        } else if (typeof entry === "string") {
+          keys.set(key, [entry, term]);
+        } else {
+          entry.push(term);
+        }
+      }
+
+      sorted.splice(lowerBound(sorted, term), 0, term);
+    },
+
+    delete(term) {
+      if (!terms.delete(term)) {
+        return;
+      }
+
+      for (const key of deletions(term)) {
+        const entry = keys.get(key);
+        if (typeof entry === "string") {
+          keys.delete(key);
+        } else {
+          entry.splice(entry.indexOf(term), 1);
+          if (entry.length === 1) {
+            keys.set(key, entry[0]);
+          }
+        }
+      }
+
+      sorted.splice(lowerBound(sorted, term), 1);
+    },
+
+    /**
+     * Terms starting with a prefix, in alphabetical order
+     * @param {string} prefix - Prefix
+     * @returns {Array<string>}
+     */
+    withPrefix(prefix) {
+      const result = [];
+      for (
+        let i = lowerBound(sorted, prefix);
+        i < sorted.length && sorted[i].startsWith(prefix);
+        i++
+      ) {
+        result.push(sorted[i]);
+      }
+      return result;
+    },
+
+    /**
+     * Terms within maxEdits (1 or 2) of a word, excluding the word itself
+     * @param {string} word - Query word
+     * @param {number} maxEdits - Largest edit distance
+     * @returns {Map<string, number>} term -> distance
+     */
+    similar(word, maxEdits) {
+      const result = new Map();
+      if (maxEdits < 1) {
+        return result;
+      }
+
+      const candidates = new Set();
+      lookup(word, candidates);
+      if (maxEdits >= 2) {
+        for (const neighbour of neighbours(word, alphabet)) {
+          lookup(neighbour, candidates);
+        }
+      }
+
+      for (const term of candidates) {
+        const distance = editDistance(word, term, maxEdits);
+        if (distance > 0 && distance <= maxEdits) {
+          result.set(term, distance);
+        }
+      }
+
+      return result;
+    },
+  };
+}
+
+export { createTermDictionary };
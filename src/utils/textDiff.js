@@ -0,0 +1,186 @@
+// Word-level text diff based on Myers' O(ND) algorithm, in its
+// linear-space (middle snake) form
+
+// Split text into words while keeping whitespace as its own tokens so the
+// diff can be joined back into the original text
+function tokenize(text) {
+  return String(text ?? "")
+    .split(/(\s+)/)
+    .filter((token) => token !== "");
+}
+
+// Merge consecutive operations of the same type into one chunk
+function mergeOps(ops) {
+  const chunks = [];
+
+  for (const op of ops) {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      chunks.push({ ...op });
+    }
+  }
+
+  return chunks;
+}
+
+// Texts beyond these limits are not diffed word by word (see diffWords).
+// Time grows with tokens x edits, so a long, fully rewritten article would
+// otherwise tie up the process.
+const MAX_TOKENS = 20000;
+const MAX_EDITS = 5000;
+
+// Find the middle snake of a[aLo..aHi) vs b[bLo..bHi): the diagonal run
+// where the forward and backward searches meet. Only two vectors of
+// O(n + m) are kept, instead of one vector per edit step.
+// Returns { x, y, u, v } (the snake runs from (x, y) to (u, v)), or null
+// when the edit distance exceeds maxEdits.
+function middleSnake(a, aLo, aHi, b, bLo, bHi, maxEdits) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const maxD = Math.min(Math.ceil((n + m) / 2), Math.ceil(maxEdits / 2));
+  const offset = maxD + 1;
+  const forward = new Int32Array(2 * maxD + 3);
+  const backward = new Int32Array(2 * maxD + 3);
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      // Backward diagonal delta - k has been searched d - 1 steps
+      const reverseK = delta - k;
+      if (
+        odd &&
+        reverseK >= -(d - 1) &&
+        reverseK <= d - 1 &&
+        x + backward[offset + reverseK] >= n
+      ) {
+        return {
+          x: aLo + startX,
+          y: bLo + startY,
+          u: aLo + x,
+          v: bLo + y,
+        };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+
+      const forwardK = delta - k;
+      if (
+        !odd &&
+        forwardK >= -d &&
+        forwardK <= d &&
+        x + forward[offset + forwardK] >= n
+      ) {
+        return {
+          x: aHi - x,
+          y: bHi - y,
+          u: aHi - startX,
+          v: bHi - startY,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Append the operations turning a[aLo..aHi) into b[bLo..bHi) to ops
+// (divide and conquer on the middle snake). Returns false when the edit
+// distance exceeds maxEdits.
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops, maxEdits) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push({ type: "equal", value: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+
+  const suffixEnd = aHi;
+  while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+    aHi--;
+    bHi--;
+  }
+
+  if (aLo === aHi) {
+    for (let i = bLo; i < bHi; i++) {
+      ops.push({ type: "insert", value: b[i] });
+    }
+  } else if (bLo === bHi) {
+    for (let i = aLo; i < aHi; i++) {
+      ops.push({ type: "delete", value: a[i] });
+    }
+  } else {
+    const snake = middleSnake(a, aLo, aHi, b, bLo, bHi, maxEdits);
+    if (!snake) {
+      return false;
+    }
+
+    diffRange(a, aLo, snake.x, b, bLo, snake.y, ops, Infinity);
+    for (let i = snake.x; i < snake.u; i++) {
+      ops.push({ type: "equal", value: a[i] });
+    }
+    diffRange(a, snake.u, aHi, b, snake.v, bHi, ops, Infinity);
+  }
+
+  for (let i = aHi; i < suffixEnd; i++) {
+    ops.push({ type: "equal", value: a[i] });
+  }
+
+  return true;
+}
+
+/**
+ * Compare two texts word by word
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: "equal"|"insert"|"delete", value: string}>|null}
+ *   null when the texts are too long or too different to diff word by word
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length + b.length > MAX_TOKENS) {
+    return null;
+  }
+
+  const ops = [];
+  if (!diffRange(a, 0, a.length, b, 0, b.length, ops, MAX_EDITS)) {
+    return null;
+  }
+
+  return mergeOps(ops);
+}
+
+export { diffWords };
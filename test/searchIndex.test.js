@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stemVariants } from "../src/utils/indonesian.js";
+import { createSearchIndex } from "../src/services/searchIndex.js";
+
+function indexOf(rows) {
+  const index = createSearchIndex(null);
+  rows.forEach((row) =>
+    index.add({ status: "published", updated_at: null, ...row })
+  );
+  return index;
+}
+
+test("root words that look prefixed keep their prefix", () => {
+  assert.deepEqual(stemVariants("selesai"), ["selesai"]);
+  assert.equal(stemVariants("menyelesaikan")[0], "selesai");
+  assert.equal(stemVariants("diselesaikan")[0], "selesai");
+});
+
+test("a base word finds its derived forms", () => {
+  const index = indexOf([
+    { id: 1, title: "Pemerintah menyelesaikan pembangunan jembatan" },
+    { id: 2, title: "Harga beras naik" },
+  ]);
+
+  assert.deepEqual(
+    index.search("selesai").hits.map((hit) => hit.id),
+    [1]
+  );
+});
+
+test("typos and prefixes are matched", () => {
+  const index = indexOf([
+    { id: 1, title: "Banjir melanda Jakarta" },
+    { id: 2, title: "Pemilihan gubernur" },
+  ]);
+
+  assert.deepEqual(
+    index.search("jakrata").hits.map((hit) => hit.id),
+    [1]
+  );
+  assert.deepEqual(
+    index.suggest("gubern").map((item) => item.id),
+    [2]
+  );
+});